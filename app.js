@@ -1,4 +1,28 @@
-document.getElementById("modifyBtn").addEventListener("click", function () {
+// Alt text entered in the editor, keyed by the image src in the source
+const altText = {};
+// Links of the last run, for the link checker
+let lastLinks = [];
+// Per-link URL edits, UTM exclusions and overrides, keyed by the href in the source
+const linkOverrides = {};
+// Output of the last run, re-rendered when the preview settings change
+let lastOutput = "";
+// Dropped slice images, optimized once; renamed on every run
+let sliceImages = null;
+// Renamed images and HTML of the last run, for the zip and message downloads
+let lastAssets = null;
+// Hotspots drawn in the preview, keyed by the image src in the source
+const hotspots = {};
+// Pieces cropped from the slice images for the hotspots they were cut for
+let slicePieces = { hotspots: "", images: null, pieces: [] };
+// Image audit of the last run, to find the slice a preview image came from
+let lastImages = [];
+
+// "a=1&b=2" -> { a: "1", b: "2" }
+function parseParams(text) {
+  return Object.fromEntries(new URLSearchParams(text.trim().replace(/^\?/, "")));
+}
+
+async function generate() {
   let html = document.getElementById("inputHtml").value;
 
   if (!html.trim()) {
@@ -8,151 +32,582 @@ document.getElementById("modifyBtn").addEventListener("click", function () {
     setTimeout(() => { btn.textContent = original; }, 2000);
     return;
   }
-  const imageUrl = document.getElementById("imageUrl").value;
-  const description = document.getElementById("description").value.trim();
-  const campaignMedium = document.getElementById("campaignMedium").value.trim();
-  const campaignName = document.getElementById("campaignName").value.trim();
-  const isResponsive = document.getElementById("responsiveToggle").checked;
-
-  html = html.replace(/(<table[^>]*) height="[^"]*"/g, "$1");
-
-  if (isResponsive) {
-    html = html.replace(
-      /<table[^>]*>/g,
-      '<table role="presentation" align="center" width="100%" border="0" cellpadding="0" cellspacing="0" style="mso-table-lspace:0pt;mso-table-rspace:0pt;border-collapse:collapse;max-width:700px;">'
-    );
-  } else {
-    html = html.replace(
-      /<table[^>]*>/g,
-      '<table role="presentation" align="center" width="700" border="0" cellpadding="0" cellspacing="0" style="mso-table-lspace:0pt;mso-table-rspace:0pt;border-collapse:collapse;">'
-    );
+
+  let assets = sliceImages;
+  if (sliceImages && Object.keys(hotspots).length) assets = sliceImages.concat(await cropHotspotPieces());
+
+  const result = CleanSend.transform.runPipeline(html, {
+    imageUrl: document.getElementById("imageUrl").value,
+    description: document.getElementById("description").value.trim(),
+    campaignSource: document.getElementById("campaignSource").value.trim(),
+    campaignMedium: document.getElementById("campaignMedium").value.trim(),
+    campaignName: document.getElementById("campaignName").value.trim(),
+    campaignContent: document.getElementById("campaignContent").value.trim(),
+    campaignTerm: document.getElementById("campaignTerm").value.trim(),
+    autoContent: document.getElementById("autoContentToggle").checked,
+    utmParams: parseParams(document.getElementById("utmParams").value),
+    links: linkOverrides,
+    isResponsive: document.getElementById("responsiveToggle").checked,
+    width: document.getElementById("emailWidth").value.trim(),
+    retina: document.getElementById("retinaToggle").checked,
+    spacerCells: document.getElementById("spacerCellsToggle").checked,
+    altText,
+    hotspots,
+    profile: document.getElementById("profile").value,
+    platform: document.getElementById("platform").value,
+    footer: document.getElementById("footerToggle").checked,
+    footerAddress: document.getElementById("footerAddress").value.trim(),
+    output: document.getElementById("outputMode").value,
+    format: document.getElementById("outputFormat").value,
+    assets,
+    embed: document.getElementById("embedMode").value,
+    embedLimit: (parseFloat(document.getElementById("embedLimit").value) || 0) * 1024,
+    steps: readStepToggles(),
+    diff: true,
+    size: true,
+    text: true,
+  });
+  html = result.html;
+  renderReport(result.report);
+  renderSize(result.size, result.images, result.assets);
+  renderLint(CleanSend.lint.lintHtml(result.html));
+  renderAltEditor(result.images);
+  lastImages = result.images;
+  renderAssets(result.assets);
+  renderLinkList(result.links, result.images);
+  lastLinks = result.links;
+  renderDiff(result.changes, document.getElementById("inputHtml").value, result.html);
+  document.getElementById("linkCheckList").classList.add("hidden");
+
+  // Update both output areas
+  document.getElementById("outputHtml").value = html;
+  const display = document.getElementById("outputHtmlDisplay");
+  display.textContent = html;
+  Prism.highlightElement(display);
+  document.getElementById("outputText").value = result.text;
+
+  // ✅ Show live preview
+  lastOutput = html;
+  renderPreview();
+}
+
+// Every run goes through here so a throwing step (overlapping hotspots, a bad
+// profile...) is shown instead of being lost as an unhandled rejection
+async function regenerate() {
+  const status = document.getElementById("generateStatus");
+  status.textContent = "";
+  try {
+    await generate();
+    return true;
+  } catch (error) {
+    status.textContent = `❌ Could not generate the HTML: ${error.message}`;
+    return false;
   }
+}
 
-  const tdStyle = "font-size:0;line-height:0;padding:0;mso-line-height-rule:exactly;";
-  html = html.replace(/<td([^>]*)>/g, (match, attrs) => {
-    if (/\bstyle="/.test(attrs)) return match.replace(/\bstyle="/, `style="${tdStyle} `);
-    return `<td${attrs} style="${tdStyle}">`;
-  });
-
-  html = html.replace(/<td(?![^>]*valign)/g, '<td valign="top"');
-
-  html = html.replace(/<img([^>]*)>/g, (_match, attrs) => {
-    const srcMatch = /\bsrc="([^"]*)"/i.exec(attrs);
-    if (!srcMatch) return _match;
-    const src = srcMatch[1];
-    const newSrc = imageUrl && !src.startsWith('http')
-      ? `${imageUrl.replace(/\/+$/, '')}/${src.replace(/^\/+/, '')}`
-      : src;
-    const styleMatch = /\bstyle="([^"]*)"/i.exec(attrs);
-    let newStyle = isResponsive
-      ? "display:block;line-height:0;font-size:0;max-width:100%;height:auto;border:0;outline:none;text-decoration:none;"
-      : "display:block;line-height:0;font-size:0;max-width:100%;border:0;outline:none;text-decoration:none;";
-    if (styleMatch) newStyle += " " + styleMatch[1];
-    let cleanAttrs = attrs
-      .replace(/\bsrc="[^"]*"/i, '')
-      .replace(/\bstyle="[^"]*"/i, '')
-      .replace(/\bborder="[^"]*"/i, '');
-    if (isResponsive) {
-      cleanAttrs = cleanAttrs
-        .replace(/\bwidth="(\d+)"/i, (m, w) => parseInt(w) < 150 ? m : 'width="100%"')
-        .replace(/\bheight="[^"]*"/i, '');
-    } else {
-      const widthMatch = /\bwidth="(\d+)"/i.exec(cleanAttrs);
-      if (widthMatch && parseInt(widthMatch[1]) > 700) {
-        cleanAttrs = cleanAttrs
-          .replace(/\bwidth="(\d+)"/i, 'width="700"')
-          .replace(/\bheight="[^"]*"/i, '');
-      }
+document.getElementById("modifyBtn").addEventListener("click", regenerate);
+
+// Checklist step toggles and report
+function renderStepToggles() {
+  const container = document.getElementById("stepToggles");
+  CleanSend.transform.STEPS.forEach((step) => {
+    const label = document.createElement("label");
+    label.className = "flex items-center gap-2 text-sm text-accent";
+    const input = document.createElement("input");
+    input.type = "checkbox";
+    input.checked = true;
+    input.dataset.step = step.id;
+    input.className = "accent-primary h-4 w-4";
+    label.appendChild(input);
+    label.appendChild(document.createTextNode(step.section ? `${step.section}: ${step.label}` : step.label));
+    container.appendChild(label);
+  });
+}
+
+function readStepToggles() {
+  const steps = {};
+  document.querySelectorAll("#stepToggles input[data-step]").forEach((input) => {
+    steps[input.dataset.step] = input.checked;
+  });
+  return steps;
+}
+
+function renderReport(report) {
+  const list = document.getElementById("reportList");
+  list.innerHTML = "";
+  report.forEach((entry) => {
+    let icon = "➖";
+    if (entry.passed === true) icon = "✅";
+    else if (entry.passed === false) icon = "❌";
+
+    let detail = "not applied";
+    if (!entry.enabled) detail = "skipped";
+    else if (entry.count) detail = `${entry.count} element${entry.count === 1 ? "" : "s"}`;
+
+    const item = document.createElement("li");
+    item.className = "flex items-center justify-between gap-4 px-4 py-2";
+    const name = document.createElement("span");
+    name.textContent = `${icon} ${entry.section ? `${entry.section}: ` : ""}${entry.label}`;
+    const count = document.createElement("span");
+    count.className = "text-graymail-dark whitespace-nowrap";
+    count.textContent = detail;
+    item.append(name, count);
+    list.appendChild(item);
+  });
+  document.getElementById("reportPanel").classList.remove("hidden");
+}
+
+// Size budget: Gmail clipping, what each step added and image weight
+let sizeRun = 0;
+// Image URL -> measured bytes for this session; a reload measures afresh
+const imageSizeCache = new Map();
+
+function renderSize(size, images, assets) {
+  const { formatBytes } = CleanSend.size;
+  const message = document.getElementById("sizeMessage");
+  const bar = document.getElementById("sizeBar");
+  const colors = { ok: "bg-green-100 text-green-800", warning: "bg-yellow-100 text-yellow-800", clipped: "bg-red-100 text-red-800" };
+  const icons = { ok: "✅", warning: "⚠️", clipped: "❌" };
+  message.className = `mb-2 px-4 py-2 rounded-md text-sm font-semibold ${colors[size.level]}`;
+  message.textContent = `${icons[size.level]} ${size.message}`;
+  bar.className = `h-full ${{ ok: "bg-green-500", warning: "bg-yellow-500", clipped: "bg-red-500" }[size.level]}`;
+  bar.style.width = `${Math.min(100, size.ratio * 100)}%`;
+
+  const list = document.getElementById("sizeSteps");
+  list.innerHTML = "";
+  [{ label: "Source HTML", bytes: size.source }, ...size.steps.filter((step) => step.bytes)].forEach((step, index) => {
+    const item = document.createElement("li");
+    item.className = "flex items-center justify-between gap-4 px-4 py-1";
+    const name = document.createElement("span");
+    name.textContent = step.label;
+    const bytes = document.createElement("span");
+    bytes.className = "text-graymail-dark whitespace-nowrap";
+    bytes.textContent = index && step.bytes > 0 ? `+${formatBytes(step.bytes)}` : formatBytes(step.bytes);
+    item.append(name, bytes);
+    list.appendChild(item);
+  });
+
+  // Image weight needs a request per image; ignore results from an earlier run
+  const run = ++sizeRun;
+  const imageLine = document.getElementById("sizeImages");
+  imageLine.textContent = `🖼️ ${images.length} image${images.length === 1 ? "" : "s"}, measuring weight…`;
+  // Attached images are in hand; only their cid: reference is in the HTML
+  const attached = {};
+  (assets ? assets.files : []).filter((file) => file.embed === "cid").forEach((file) => {
+    attached[`cid:${CleanSend.mime.contentId(file.name)}`] = file.bytes;
+  });
+  CleanSend.size.measureImages(images, { cache: imageSizeCache, sizes: attached }).then((weight) => {
+    if (run !== sizeRun) return;
+    let text = `🖼️ ${weight.count} image${weight.count === 1 ? "" : "s"} (${weight.distinct} distinct), ${formatBytes(weight.bytes)}`;
+    if (weight.unknown.length) text += ` + ${weight.unknown.length} that couldn't be measured (relative, unattached or blocked URLs)`;
+    imageLine.textContent = text;
+  });
+
+  document.getElementById("sizePanel").classList.remove("hidden");
+}
+
+// Slice images: folder or zip drop, recompression, renamed files and zip download
+async function readDroppedEntry(entry, files) {
+  if (entry.isFile) {
+    const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+    files.push({ name: entry.fullPath.replace(/^\//, ""), data: new Uint8Array(await file.arrayBuffer()) });
+  } else if (entry.isDirectory) {
+    const reader = entry.createReader();
+    // readEntries returns the folder in batches until it returns none
+    for (;;) {
+      const entries = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+      if (!entries.length) break;
+      for (const child of entries) await readDroppedEntry(child, files);
     }
-    cleanAttrs = cleanAttrs.replace(/\s+/g, ' ').trim();
-    return `<img${cleanAttrs ? ' ' + cleanAttrs : ''} border="0" style="${newStyle}" src="${newSrc}">`;
-  });
-
-  if (description) {
-    const tempDiv = document.createElement("div");
-    tempDiv.innerHTML = html;
-    const firstTable = tempDiv.querySelector("table");
-    let maxCols = 1;
-    if (firstTable) {
-      firstTable.querySelectorAll("tr").forEach((tr) => {
-        let cols = 0;
-        tr.querySelectorAll("td").forEach((td) => {
-          cols += parseInt(td.getAttribute("colspan") || "1", 10);
-        });
-        if (cols > maxCols) maxCols = cols;
-      });
+  }
+}
+
+async function loadSliceImages(files) {
+  const summary = document.getElementById("assetSummary");
+  document.getElementById("assetPanel").classList.remove("hidden");
+  document.getElementById("assetList").innerHTML = "";
+  summary.textContent = "⏳ Reading and optimizing images…";
+  try {
+    const images = await CleanSend.assets.collectImages(files);
+    if (!images.length) throw new Error("no JPG, PNG or GIF images found");
+    sliceImages = await CleanSend.assets.optimizeImages(images);
+  } catch (error) {
+    sliceImages = null;
+    summary.textContent = `❌ ${error.message}`;
+    return;
+  }
+  if (document.getElementById("inputHtml").value.trim()) regenerate();
+  else summary.textContent = `✅ ${sliceImages.length} image${sliceImages.length === 1 ? "" : "s"} ready; generate the HTML to rename them`;
+}
+
+// Pieces are cropped again only when the hotspots or the slice images change
+async function cropHotspotPieces() {
+  const key = JSON.stringify(hotspots);
+  if (slicePieces.hotspots !== key || slicePieces.images !== sliceImages) {
+    let pieces = [];
+    try {
+      pieces = await CleanSend.hotspots.cropSlices(sliceImages, hotspots);
+    } catch (error) {
+      document.getElementById("hotspotStatus").textContent = `❌ Could not crop the pieces: ${error.message}`;
     }
-    const colspanAttr = maxCols > 1 ? ` colspan="${maxCols}"` : "";
-    const descRow = `<tr><td${colspanAttr} style="padding:0;font-size:0;line-height:0;mso-line-height-rule:exactly;"><div style="display:none;max-height:0;overflow:hidden;mso-hide:all;font-size:1px;line-height:1px;">${description}</div></td></tr>`;
-    html = html.replace(/(<table[^>]*>)/, `$1${descRow}`);
+    slicePieces = { hotspots: key, images: sliceImages, pieces };
   }
+  return slicePieces.pieces;
+}
 
-  const parser = document.createElement("div");
-  parser.innerHTML = html;
-  parser.querySelectorAll("table").forEach((table) => {
-    const hasRowspan = table.querySelector("td[rowspan]") !== null;
-    const rows = table.querySelectorAll("tr");
-    rows.forEach((row) => {
-      const columns = row.querySelectorAll("td");
-      if (
-        !hasRowspan &&
-        columns.length > 1 &&
-        !Array.from(columns).some((td) => td.hasAttribute("colspan"))
-      ) {
-        const newTable = document.createElement("table");
-        newTable.setAttribute("role", "presentation");
-        newTable.setAttribute("align", "center");
-        if (isResponsive) {
-          newTable.setAttribute("width", "100%");
-          newTable.setAttribute("style", "mso-table-lspace:0pt;mso-table-rspace:0pt;border-collapse:collapse;");
-        } else {
-          newTable.setAttribute("width", "700");
-          newTable.setAttribute("style", "mso-table-lspace:0pt;mso-table-rspace:0pt;border-collapse:collapse;");
-        }
-        newTable.setAttribute("border", "0");
-        newTable.setAttribute("cellpadding", "0");
-        newTable.setAttribute("cellspacing", "0");
-        newTable.appendChild(row.cloneNode(true));
-        row.innerHTML = `<td valign="top" style="font-size:0;line-height:0;padding:0;mso-line-height-rule:exactly;"></td>`;
-        row.querySelector("td").appendChild(newTable);
-      }
+function renderAssets(assets) {
+  lastAssets = assets;
+  if (!assets) return;
+  const { formatBytes } = CleanSend.size;
+  const list = document.getElementById("assetList");
+  list.innerHTML = "";
+  // An image used several times is one file
+  const files = [...new Map(assets.files.map((file) => [file.name, file])).values()];
+  files.forEach((file) => {
+    const row = document.createElement("tr");
+    const names = document.createElement("td");
+    names.className = "p-2 break-all";
+    names.textContent = `${file.path.split("/").pop()} → ${file.name}`;
+    const bytes = document.createElement("td");
+    bytes.className = "p-2 text-graymail-dark whitespace-nowrap text-right";
+    bytes.textContent = file.bytes < file.originalBytes
+      ? `${formatBytes(file.originalBytes)} → ${formatBytes(file.bytes)}`
+      : formatBytes(file.bytes);
+    if (file.embed) bytes.textContent += file.embed === "data" ? " · inlined" : " · attached";
+    row.append(names, bytes);
+    list.appendChild(row);
+  });
+  assets.missing.forEach((src) => {
+    const row = document.createElement("tr");
+    const cell = document.createElement("td");
+    cell.colSpan = 2;
+    cell.className = "p-2 break-all";
+    cell.textContent = `⚠️ ${src}: no matching image, left as is`;
+    row.appendChild(cell);
+    list.appendChild(row);
+  });
+
+  const saved = files.reduce((sum, file) => sum + file.originalBytes - file.bytes, 0);
+  document.getElementById("assetSummary").textContent =
+    `${files.length} image${files.length === 1 ? "" : "s"} renamed` +
+    (saved > 0 ? ` · ${formatBytes(saved)} saved` : "") +
+    (assets.unused.length ? ` · ${assets.unused.length} not used by the email` : "");
+  const uploads = files.filter((file) => !file.embed);
+  const downloadAssets = document.getElementById("downloadAssetsBtn");
+  downloadAssets.disabled = uploads.length === 0;
+  downloadAssets.textContent = `📦 Download images to upload (.zip, ${uploads.length})`;
+}
+
+const assetDrop = document.getElementById("assetDrop");
+assetDrop.addEventListener("dragover", (event) => {
+  event.preventDefault();
+  assetDrop.classList.add("border-accent");
+});
+assetDrop.addEventListener("dragleave", () => assetDrop.classList.remove("border-accent"));
+assetDrop.addEventListener("drop", async (event) => {
+  event.preventDefault();
+  assetDrop.classList.remove("border-accent");
+  // Entries must be taken before the first await: the drop data is cleared afterwards
+  const entries = Array.from(event.dataTransfer.items)
+    .map((item) => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null))
+    .filter(Boolean);
+  const files = [];
+  for (const entry of entries) await readDroppedEntry(entry, files);
+  loadSliceImages(files);
+});
+["assetFolderInput", "assetFileInput"].forEach((id) => {
+  document.getElementById(id).addEventListener("change", async (event) => {
+    const files = await Promise.all(Array.from(event.target.files).map(async (file) =>
+      ({ name: file.webkitRelativePath || file.name, data: new Uint8Array(await file.arrayBuffer()) })));
+    event.target.value = "";
+    loadSliceImages(files);
+  });
+});
+
+function downloadFile(name, data, type) {
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(new Blob([data], { type }));
+  link.download = name;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
+document.getElementById("downloadAssetsBtn").addEventListener("click", () => {
+  if (!lastAssets || !lastAssets.files.length) return;
+  downloadFile("email-images.zip", CleanSend.assets.packageAssets(lastAssets.files), "application/zip");
+});
+
+// .eml export: text alternative, headers from the Email File fields, cid: images attached
+document.getElementById("downloadEmlBtn").addEventListener("click", () => {
+  if (!lastOutput) return;
+  const subject = document.getElementById("emlSubject").value.trim();
+  const eml = CleanSend.mime.createEml({
+    html: lastOutput,
+    text: document.getElementById("outputText").value,
+    images: lastAssets ? lastAssets.files.filter((file) => file.embed === "cid") : [],
+    subject,
+    preheader: document.getElementById("description").value.trim(),
+    from: document.getElementById("emlFrom").value.trim(),
+    to: document.getElementById("emlTo").value.trim(),
+  });
+  const name = subject.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "") || "email";
+  downloadFile(`${name}.eml`, eml, "message/rfc822");
+});
+
+// Client compatibility: errors first, then warnings, with the output lines they appear on
+function renderLint({ errors, warnings }) {
+  const list = document.getElementById("lintList");
+  list.innerHTML = "";
+  document.getElementById("lintSummary").textContent =
+    `${errors.length} error${errors.length === 1 ? "" : "s"}, ${warnings.length} warning${warnings.length === 1 ? "" : "s"}`;
+  [...errors, ...warnings].forEach((result) => {
+    const item = document.createElement("li");
+    item.className = "px-4 py-2";
+    const heading = document.createElement("div");
+    heading.className = "flex items-center justify-between gap-4";
+    const name = document.createElement("span");
+    name.className = "font-semibold";
+    name.textContent = `${result.level === "error" ? "❌" : "⚠️"} ${result.label}`;
+    const lines = document.createElement("span");
+    lines.className = "text-graymail-dark text-xs";
+    lines.textContent = `line${result.lines.length === 1 ? "" : "s"} ${result.lines.join(", ")}`;
+    heading.append(name, lines);
+    item.appendChild(heading);
+
+    const clients = [];
+    if (result.unsupported.length) clients.push(`Not supported: ${result.unsupported.join(", ")}`);
+    if (result.partial.length) clients.push(`Partial: ${result.partial.join(", ")}`);
+    [...clients, result.note].forEach((text) => {
+      const detail = document.createElement("div");
+      detail.className = "text-xs text-graymail-dark";
+      detail.textContent = text;
+      item.appendChild(detail);
     });
+    list.appendChild(item);
   });
+  document.getElementById("lintPanel").classList.remove("hidden");
+}
 
-  html = parser.innerHTML;
-  html = html.replace(/ style=""/g, '');
+// Alt text editor: one row per content image, flagged when missing or shared
+function renderAltEditor(images) {
+  const rows = new Map();
+  images.filter((image) => !image.spacer).forEach((image) => {
+    const row = rows.get(image.key) || { ...image };
+    row.missing = row.missing || image.missing;
+    row.duplicate = row.duplicate || image.duplicate;
+    rows.set(image.key, row);
+  });
 
-  html = html.replace(/<a\b(?![^>]*\bstyle=)/g, '<a style="border: 0; text-decoration: none;"');
+  const list = document.getElementById("altList");
+  const focusedKey = document.activeElement && document.activeElement.dataset
+    ? document.activeElement.dataset.altKey
+    : null;
+  list.innerHTML = "";
+  rows.forEach((image) => {
+    const row = document.createElement("tr");
 
-  if (campaignMedium || campaignName) {
-    html = html.replace(/<a([^>]*)href="([^"]*)"/g, (_match, p1, href) => {
-      if (/^(mailto:|tel:|#|javascript:)/i.test(href)) return `<a${p1}href="${href}"`;
-      try {
-        const url = new URL(href, "https://example.com");
-        if (campaignMedium) url.searchParams.set("utm_medium", campaignMedium);
-        if (campaignName) url.searchParams.set("utm_campaign", campaignName);
-        const finalHref = url.toString().replace(/^https:\/\/example\.com/, "");
-        return `<a${p1}href="${finalHref}"`;
-      } catch {
-        return `<a${p1}href="${href}"`;
-      }
+    const thumbCell = document.createElement("td");
+    thumbCell.className = "p-2 w-20";
+    const thumb = document.createElement("img");
+    thumb.src = image.src;
+    thumb.alt = "";
+    thumb.className = "max-h-12 max-w-[4.5rem] object-contain";
+    thumbCell.appendChild(thumb);
+
+    const fileCell = document.createElement("td");
+    fileCell.className = "p-2 text-graymail-dark break-all";
+    fileCell.textContent = image.key.split("/").pop();
+
+    const inputCell = document.createElement("td");
+    inputCell.className = "p-2 w-1/2";
+    const input = document.createElement("input");
+    input.type = "text";
+    input.value = image.alt;
+    input.dataset.altKey = image.key;
+    input.placeholder = "Describe this slice";
+    input.className = "w-full border border-graymail-light rounded-md p-2 text-sm bg-gray-100 focus:outline-none focus:ring-2 focus:ring-primary";
+    input.addEventListener("change", () => {
+      altText[image.key] = input.value;
+      regenerate();
     });
-  }
+    inputCell.appendChild(input);
 
-  // Update both output areas
-  document.getElementById("outputHtml").value = html;
-  const display = document.getElementById("outputHtmlDisplay");
-  display.textContent = html;
-  Prism.highlightElement(display);
+    const flagCell = document.createElement("td");
+    flagCell.className = "p-2 whitespace-nowrap";
+    if (image.missing) flagCell.textContent = "❌ Missing";
+    else if (image.duplicate) flagCell.textContent = "⚠️ Duplicate";
+    else flagCell.textContent = "✅";
 
-  // ✅ Show live preview
-  const previewFrame = document.getElementById("previewFrame");
-  previewFrame.srcdoc = html;
+    row.append(thumbCell, fileCell, inputCell, flagCell);
+    list.appendChild(row);
+  });
+
+  const focused = focusedKey
+    ? Array.from(list.querySelectorAll("input")).find((input) => input.dataset.altKey === focusedKey)
+    : null;
+  if (focused) focused.focus();
+  document.getElementById("altPanel").classList.toggle("hidden", rows.size === 0);
+}
+
+// Link inventory: every anchor with its slice, final URL, UTM result and problems
+const LINK_ISSUES = {
+  empty: "❌ Empty href",
+  malformed: "❌ Malformed URL",
+  insecure: "⚠️ Not https",
+};
+
+function renderLinkList(links, images) {
+  const list = document.getElementById("linkList");
+  list.innerHTML = "";
+
+  const thumbnailCell = (src) => {
+    const cell = document.createElement("td");
+    cell.className = "p-2 w-20 align-top";
+    if (src) {
+      const thumb = document.createElement("img");
+      thumb.src = src;
+      thumb.alt = "";
+      thumb.className = "max-h-12 max-w-[4.5rem] object-contain";
+      cell.appendChild(thumb);
+    }
+    return cell;
+  };
+  const inputClass = "w-full border border-graymail-light rounded-md p-2 text-sm bg-gray-100 focus:outline-none focus:ring-2 focus:ring-primary";
+
+  links.forEach((link) => {
+    const override = linkOverrides[link.key] || {};
+    const update = (changes) => {
+      linkOverrides[link.key] = { ...linkOverrides[link.key], ...changes };
+      regenerate();
+    };
+    const row = document.createElement("tr");
+
+    const hrefCell = document.createElement("td");
+    hrefCell.className = "p-2 align-top";
+    const hrefInput = document.createElement("input");
+    hrefInput.type = "text";
+    hrefInput.value = link.edited ? override.href : link.key;
+    hrefInput.placeholder = "https://";
+    hrefInput.className = inputClass;
+    hrefInput.addEventListener("change", () => update({ href: hrefInput.value.trim() === link.key ? "" : hrefInput.value.trim() }));
+    hrefCell.appendChild(hrefInput);
+
+    const final = document.createElement("div");
+    final.className = "text-xs text-graymail-dark break-all mt-1";
+    final.textContent = link.text && !link.image ? `“${link.text}” → ${link.href}` : `→ ${link.href}`;
+    hrefCell.appendChild(final);
+
+    const utm = document.createElement("div");
+    utm.className = "text-xs text-graymail-dark mt-1";
+    const params = Object.entries(link.utm).map(([name, value]) => `${name}=${value}`).join(" · ");
+    if (!link.tracked) utm.textContent = "UTM: not applicable";
+    else if (link.excluded) utm.textContent = "UTM: excluded";
+    else utm.textContent = `UTM: ${params || "none"}`;
+    hrefCell.appendChild(utm);
+
+    const issues = document.createElement("div");
+    issues.className = "text-xs mt-1";
+    issues.textContent = link.issues.map((issue) => LINK_ISSUES[issue]).join("  ");
+    hrefCell.appendChild(issues);
+
+    const toggleCell = document.createElement("td");
+    toggleCell.className = "p-2 w-8 align-top";
+    const toggle = document.createElement("input");
+    toggle.type = "checkbox";
+    toggle.checked = !link.excluded;
+    toggle.disabled = !link.tracked;
+    toggle.title = "Add UTM parameters to this link";
+    toggle.className = "accent-primary h-4 w-4 mt-3";
+    toggle.addEventListener("change", () => update({ exclude: !toggle.checked }));
+    toggleCell.appendChild(toggle);
+
+    const paramsCell = document.createElement("td");
+    paramsCell.className = "p-2 w-1/4 align-top";
+    const paramsInput = document.createElement("input");
+    paramsInput.type = "text";
+    paramsInput.value = override.params ? new URLSearchParams(override.params).toString() : "";
+    paramsInput.placeholder = "utm_content=hero";
+    paramsInput.disabled = link.excluded || !link.tracked;
+    paramsInput.className = inputClass;
+    paramsInput.addEventListener("change", () => update({ params: parseParams(paramsInput.value) }));
+    paramsCell.appendChild(paramsInput);
+
+    row.append(thumbnailCell(link.image), hrefCell, toggleCell, paramsCell);
+    list.appendChild(row);
+  });
+
+  const unlinked = images.filter((image) => image.unlinked);
+  unlinked.forEach((image) => {
+    const row = document.createElement("tr");
+    const cell = document.createElement("td");
+    cell.colSpan = 3;
+    cell.className = "p-2 align-top";
+    cell.textContent = `⚠️ ${image.key.split("/").pop()} looks like a call to action but has no link`;
+    row.append(thumbnailCell(image.src), cell);
+    list.appendChild(row);
+  });
+
+  const problems = links.filter((link) => link.issues.length).length;
+  document.getElementById("linkSummary").textContent =
+    `${links.length} link${links.length === 1 ? "" : "s"}` +
+    (problems ? ` · ${problems} with problems` : "") +
+    (unlinked.length ? ` · ${unlinked.length} unlinked slice${unlinked.length === 1 ? "" : "s"}` : "");
+  document.getElementById("linkPanel").classList.toggle("hidden", links.length + unlinked.length === 0);
+}
+
+// Link checker: status, redirect chain and final destination per link
+document.getElementById("checkLinksBtn").addEventListener("click", () => {
+  const btn = document.getElementById("checkLinksBtn");
+  const list = document.getElementById("linkCheckList");
+  const original = btn.textContent;
+  btn.disabled = true;
+  btn.textContent = "⏳ Checking…";
+
+  // A page can't tell a CORS refusal from a dead host, so neither counts as broken
+  const fetcher = (url, init) => fetch(url, init).catch((error) => {
+    if (error.name !== "TypeError") throw error;
+    return { status: 0, headers: null };
+  });
+  const proxy = document.getElementById("linkCheckProxy").value.trim();
+  CleanSend.linkCheck.checkLinks(lastLinks, { fetcher, proxy }).then((results) => {
+    list.innerHTML = "";
+    results.forEach((result) => {
+      const item = document.createElement("li");
+      item.className = "px-4 py-2 break-all";
+      const statuses = result.chain.map((hop) => hop.status || "?").join(" → ");
+      const icon = result.ok ? "✅" : result.unverifiable ? "⚠️" : "❌";
+      const lines = [`${icon} ${statuses || "—"} ${result.href}`];
+      if (result.finalUrl && result.finalUrl !== result.href) lines.push(`→ ${result.finalUrl}`);
+      if (result.utmStripped.length) lines.push(`⚠️ Redirect drops ${result.utmStripped.join(", ")}`);
+      if (result.error) lines.push(result.error);
+      lines.forEach((line, index) => {
+        const text = document.createElement("div");
+        if (index) text.className = "text-xs text-graymail-dark";
+        text.textContent = line;
+        item.appendChild(text);
+      });
+      list.appendChild(item);
+    });
+    list.classList.toggle("hidden", results.length === 0);
+  }).finally(() => {
+    btn.disabled = false;
+    btn.textContent = original;
+  });
 });
 
-document.getElementById("copyBtn").addEventListener("click", () => {
-  const htmlContent = document.getElementById("outputHtml").value;
-  const btn = document.getElementById("copyBtn");
+// An export profile brings its own platform
+document.getElementById("profile").addEventListener("change", (event) => {
+  const profile = CleanSend.profiles.PROFILES[event.target.value];
+  const platform = document.getElementById("platform");
+  if (profile) platform.value = profile.platform;
+  platform.disabled = !!profile;
+});
+
+renderStepToggles();
+
+// Copy an output field, flashing the result on its button
+function copyOutput(sourceId, btnId) {
+  const btn = document.getElementById(btnId);
 
   function flashBtn(text) {
     const original = btn.textContent;
@@ -161,25 +616,299 @@ document.getElementById("copyBtn").addEventListener("click", () => {
   }
 
   navigator.clipboard
-    .writeText(htmlContent)
+    .writeText(document.getElementById(sourceId).value)
     .then(() => flashBtn("✅ Copied!"))
     .catch(() => flashBtn("❌ Failed"));
-});
+}
 
-// Tab toggle logic
-function setActiveTab(activeTabId, inactiveTabId, showViewId, hideViewId) {
-  document.getElementById(showViewId).classList.remove("hidden");
-  document.getElementById(hideViewId).classList.add("hidden");
-  document.getElementById(activeTabId).classList.add("text-accent", "border-accent", "border-b-2");
-  document.getElementById(activeTabId).classList.remove("text-graymail");
-  document.getElementById(inactiveTabId).classList.remove("text-accent", "border-accent", "border-b-2");
-  document.getElementById(inactiveTabId).classList.add("text-graymail");
+document.getElementById("copyBtn").addEventListener("click", () => copyOutput("outputHtml", "copyBtn"));
+document.getElementById("copyTextBtn").addEventListener("click", () => copyOutput("outputText", "copyTextBtn"));
+
+// Preview simulator: device width, client and dark mode
+function renderPreview() {
+  const previewFrame = document.getElementById("previewFrame");
+  const device = CleanSend.preview.DEVICES.find((d) => d.id === document.getElementById("previewDevice").value);
+  previewFrame.style.width = device && device.width ? `${device.width}px` : "100%";
+  previewFrame.srcdoc = CleanSend.preview.simulateClient(lastOutput, {
+    client: document.getElementById("previewClient").value,
+    dark: document.getElementById("previewDark").value,
+  });
 }
 
-document.getElementById("tabCode").addEventListener("click", () =>
-  setActiveTab("tabCode", "tabPreview", "codeView", "previewView")
+CleanSend.preview.DEVICES.forEach((device) => {
+  const option = document.createElement("option");
+  option.value = device.id;
+  option.textContent = device.label;
+  document.getElementById("previewDevice").appendChild(option);
+});
+document.getElementById("previewDevice").value = "desktop";
+["previewDevice", "previewClient", "previewDark"].forEach((id) =>
+  document.getElementById(id).addEventListener("change", renderPreview)
 );
 
-document.getElementById("tabPreview").addEventListener("click", () =>
-  setActiveTab("tabPreview", "tabCode", "previewView", "codeView")
+// Hotspot editor: click a slice in the preview, draw rectangles, give each a URL
+let hotspotSlice = null;
+
+// Clicking an image edits its slice instead of following the link
+document.getElementById("previewFrame").addEventListener("load", (event) => {
+  const doc = event.target.contentDocument;
+  if (!doc) return;
+  doc.querySelectorAll("img").forEach((img) => {
+    const image = lastImages.find((entry) => entry.src === img.getAttribute("src"));
+    if (!image || image.spacer) return;
+    img.style.cursor = "crosshair";
+    img.title = "Draw hotspots on this slice";
+    img.addEventListener("click", (clickEvent) => {
+      clickEvent.preventDefault();
+      openHotspotEditor(image.key);
+    });
+  });
+});
+
+function openHotspotEditor(key) {
+  hotspotSlice = { key, draft: (hotspots[key] || []).map((hotspot) => ({ ...hotspot })) };
+  // The dropped file, else the slice under the Base Image URL (pieces replace it in the preview)
+  const asset = sliceImages && CleanSend.assets.matchAsset(key, sliceImages);
+  const image = document.getElementById("hotspotImage");
+  if (image.src.startsWith("blob:")) URL.revokeObjectURL(image.src);
+  const imageUrl = document.getElementById("imageUrl").value.trim();
+  image.src = asset
+    ? URL.createObjectURL(new Blob([asset.data], { type: asset.type }))
+    : (imageUrl && !/^([a-z][a-z0-9+.-]*:|\/\/)/i.test(key) ? `${imageUrl.replace(/\/+$/, "")}/${key.replace(/^\/+/, "")}` : key);
+  document.getElementById("hotspotTitle").textContent = `Hotspots: ${key.split("/").pop()}`;
+  document.getElementById("hotspotStatus").textContent = "";
+  document.getElementById("hotspotEditor").classList.remove("hidden");
+  renderHotspotEditor();
+  document.getElementById("hotspotEditor").scrollIntoView({ behavior: "smooth", block: "nearest" });
+}
+
+function renderHotspotEditor() {
+  const canvas = document.getElementById("hotspotCanvas");
+  canvas.querySelectorAll("[data-hotspot]").forEach((box) => box.remove());
+  const list = document.getElementById("hotspotList");
+  list.innerHTML = "";
+
+  hotspotSlice.draft.forEach((hotspot, index) => {
+    canvas.appendChild(hotspotBox(hotspot, index + 1));
+
+    const item = document.createElement("li");
+    item.className = "flex flex-wrap items-center gap-2";
+    const number = document.createElement("span");
+    number.className = "font-semibold text-accent w-6";
+    number.textContent = `${index + 1}.`;
+    const href = document.createElement("input");
+    href.type = "url";
+    href.value = hotspot.href || "";
+    href.placeholder = "https://…";
+    href.className = "flex-1 min-w-[12rem] border border-graymail-light rounded-md p-2 text-sm bg-gray-100 focus:outline-none focus:ring-2 focus:ring-primary";
+    href.addEventListener("input", () => { hotspot.href = href.value; });
+    const alt = document.createElement("input");
+    alt.type = "text";
+    alt.value = hotspot.alt || "";
+    alt.placeholder = "Alt text (e.g. Book a tour)";
+    alt.className = "flex-1 min-w-[10rem] border border-graymail-light rounded-md p-2 text-sm bg-gray-100 focus:outline-none focus:ring-2 focus:ring-primary";
+    alt.addEventListener("input", () => { hotspot.alt = alt.value; });
+    const remove = document.createElement("button");
+    remove.type = "button";
+    remove.className = "text-graymail-dark hover:text-accent";
+    remove.textContent = "✕";
+    remove.title = "Remove this hotspot";
+    remove.addEventListener("click", () => {
+      hotspotSlice.draft.splice(index, 1);
+      renderHotspotEditor();
+    });
+    item.append(number, href, alt, remove);
+    list.appendChild(item);
+  });
+}
+
+// Rectangle over the slice, positioned in percentages so it follows the image size
+function hotspotBox(hotspot, label) {
+  const box = document.createElement("div");
+  box.dataset.hotspot = "";
+  box.className = "absolute border-2 border-accent bg-primary/40 text-xs font-bold text-accent pointer-events-none";
+  Object.assign(box.style, {
+    left: `${hotspot.x * 100}%`,
+    top: `${hotspot.y * 100}%`,
+    width: `${hotspot.width * 100}%`,
+    height: `${hotspot.height * 100}%`,
+  });
+  if (label) box.textContent = label;
+  return box;
+}
+
+// Position of a pointer event as fractions of the slice (0-1, 4 decimals)
+function slicePoint(event) {
+  const rect = document.getElementById("hotspotImage").getBoundingClientRect();
+  const fraction = (value, size) => Math.round(Math.min(1, Math.max(0, value / size)) * 10000) / 10000;
+  return { x: fraction(event.clientX - rect.left, rect.width), y: fraction(event.clientY - rect.top, rect.height) };
+}
+
+let hotspotDrag = null;
+
+document.getElementById("hotspotCanvas").addEventListener("pointerdown", (event) => {
+  if (!hotspotSlice || event.button !== 0) return;
+  event.preventDefault();
+  const start = slicePoint(event);
+  const box = hotspotBox({ ...start, width: 0, height: 0 });
+  event.currentTarget.appendChild(box);
+  event.currentTarget.setPointerCapture(event.pointerId);
+  hotspotDrag = { start, box, hotspot: null };
+});
+
+document.getElementById("hotspotCanvas").addEventListener("pointermove", (event) => {
+  if (!hotspotDrag) return;
+  const { start, box } = hotspotDrag;
+  const point = slicePoint(event);
+  const round = (value) => Math.round(value * 10000) / 10000;
+  hotspotDrag.hotspot = {
+    x: Math.min(start.x, point.x),
+    y: Math.min(start.y, point.y),
+    width: round(Math.abs(point.x - start.x)),
+    height: round(Math.abs(point.y - start.y)),
+  };
+  Object.assign(box.style, {
+    left: `${hotspotDrag.hotspot.x * 100}%`,
+    top: `${hotspotDrag.hotspot.y * 100}%`,
+    width: `${hotspotDrag.hotspot.width * 100}%`,
+    height: `${hotspotDrag.hotspot.height * 100}%`,
+  });
+});
+
+document.getElementById("hotspotCanvas").addEventListener("pointerup", () => {
+  if (!hotspotDrag) return;
+  const { hotspot, box } = hotspotDrag;
+  hotspotDrag = null;
+  box.remove();
+  const status = document.getElementById("hotspotStatus");
+  // Clicks and slivers would make pieces too thin to tap
+  if (!hotspot || hotspot.width < 0.02 || hotspot.height < 0.02) return;
+  const overlaps = hotspotSlice.draft.some((other) =>
+    hotspot.x < other.x + other.width && other.x < hotspot.x + hotspot.width &&
+    hotspot.y < other.y + other.height && other.y < hotspot.y + hotspot.height);
+  if (overlaps) {
+    status.textContent = "⚠️ Hotspots can't overlap; draw it again beside the others.";
+    return;
+  }
+  status.textContent = "";
+  hotspotSlice.draft.push({ ...hotspot, href: "", alt: "" });
+  renderHotspotEditor();
+  const inputs = document.querySelectorAll("#hotspotList input[type=url]");
+  inputs[inputs.length - 1].focus();
+});
+
+function applyHotspots(draft) {
+  const status = document.getElementById("hotspotStatus");
+  if (draft.some((hotspot) => !(hotspot.href || "").trim())) {
+    status.textContent = "⚠️ Give every hotspot a URL, or remove it.";
+    return;
+  }
+  const key = hotspotSlice.key;
+  const previous = hotspots[key];
+  if (draft.length) hotspots[key] = draft.map((hotspot) => ({ ...hotspot }));
+  else delete hotspots[key];
+  regenerate().then((ok) => {
+    if (!ok) {
+      // Keep the last hotspots that worked so the next run doesn't fail too
+      if (previous) hotspots[key] = previous;
+      else delete hotspots[key];
+      status.textContent = "❌ Hotspots not applied; see the error under Generate Clean HTML.";
+      return;
+    }
+    // A slice used twice is cut the same way both times
+    const pieces = [...new Set(lastImages.filter((image) => image.key === key).map((image) => image.src))];
+    if (!draft.length) status.textContent = "✅ Slice restored.";
+    else if (sliceImages) status.textContent = `✅ Cut into ${pieces.length} pieces, cropped into the images zip.`;
+    else status.textContent = `✅ Cut into ${pieces.length} pieces. Drop the slice images above to crop them, or export these files yourself: ` +
+      pieces.map((src) => src.split("/").pop()).join(", ");
+  });
+}
+
+document.getElementById("hotspotApplyBtn").addEventListener("click", () => applyHotspots(hotspotSlice.draft));
+document.getElementById("hotspotClearBtn").addEventListener("click", () => {
+  hotspotSlice.draft = [];
+  renderHotspotEditor();
+  applyHotspots([]);
+});
+document.getElementById("hotspotCloseBtn").addEventListener("click", () => {
+  hotspotSlice = null;
+  document.getElementById("hotspotEditor").classList.add("hidden");
+});
+
+// Diff: what each step changed, and a before/after slider
+function renderDiff(groups, inputHtml, outputHtml) {
+  const list = document.getElementById("diffList");
+  list.innerHTML = "";
+  const total = groups.reduce((sum, group) => sum + group.changes.length, 0);
+  document.getElementById("diffSummary").textContent =
+    `${total} change${total === 1 ? "" : "s"} across ${groups.length} step${groups.length === 1 ? "" : "s"}`;
+
+  groups.forEach((group) => {
+    const details = document.createElement("details");
+    details.className = "border border-graymail-light rounded-md";
+    const summary = document.createElement("summary");
+    summary.className = "cursor-pointer px-4 py-2 font-semibold text-accent";
+    summary.textContent = `${group.label} (${group.changes.length})`;
+    const changes = document.createElement("ul");
+    changes.className = "divide-y divide-graymail-light font-mono text-xs";
+    group.changes.forEach((change) => {
+      const item = document.createElement("li");
+      item.className = "px-4 py-1 break-all";
+      const path = document.createElement("div");
+      path.className = "text-graymail-dark";
+      path.textContent = change.path;
+      item.appendChild(path);
+      if (change.before !== null && change.type !== "added") {
+        const before = document.createElement("div");
+        before.className = "text-red-700 line-through";
+        before.textContent = `- ${change.name ? `${change.name}="${change.before}"` : change.before}`;
+        item.appendChild(before);
+      }
+      if (change.after !== null && change.type !== "removed") {
+        const after = document.createElement("div");
+        after.className = "text-green-700";
+        after.textContent = `+ ${change.name ? `${change.name}="${change.after}"` : change.after}`;
+        item.appendChild(after);
+      }
+      changes.appendChild(item);
+    });
+    details.append(summary, changes);
+    list.appendChild(details);
+  });
+
+  // The source's relative srcs resolve against the image URL, as the output's do
+  const imageUrl = document.getElementById("imageUrl").value.trim();
+  const base = imageUrl ? `<base href="${CleanSend.dom.escapeAttribute(imageUrl.replace(/\/*$/, "/"))}">` : "";
+  const head = /<head(\s[^>]*)?>/i;
+  document.getElementById("diffBeforeFrame").srcdoc = head.test(inputHtml)
+    ? inputHtml.replace(head, (tag) => tag + base)
+    : base + inputHtml;
+  document.getElementById("diffAfterFrame").srcdoc = outputHtml;
+  updateDiffSlider();
+}
+
+// The output frame covers the input frame right of the slider
+function updateDiffSlider() {
+  const position = document.getElementById("diffSlider").value;
+  document.getElementById("diffAfterFrame").style.clipPath = `inset(0 0 0 ${position}%)`;
+}
+
+document.getElementById("diffSlider").addEventListener("input", updateDiffSlider);
+
+// Tab toggle logic
+const TABS = { tabCode: "codeView", tabPreview: "previewView", tabText: "textView", tabDiff: "diffView" };
+
+function setActiveTab(activeTabId) {
+  Object.entries(TABS).forEach(([tabId, viewId]) => {
+    const active = tabId === activeTabId;
+    document.getElementById(viewId).classList.toggle("hidden", !active);
+    document.getElementById(tabId).classList.toggle("text-accent", active);
+    document.getElementById(tabId).classList.toggle("border-accent", active);
+    document.getElementById(tabId).classList.toggle("border-b-2", active);
+    document.getElementById(tabId).classList.toggle("text-graymail", !active);
+  });
+}
+
+Object.keys(TABS).forEach((tabId) =>
+  document.getElementById(tabId).addEventListener("click", () => setActiveTab(tabId))
 );
\ No newline at end of file
@@ -0,0 +1,547 @@
+#!/usr/bin/env node
+/**
+ * CleanSend command-line interface
+ *
+ * Batch-converts Photoshop "Save for Web" slice exports with the same
+ * pipeline as the web UI:
+ *
+ *   node bin/cleansend.js <file.html|directory> [options]
+ *
+ * Each input is written next to itself as `<name>.clean.html`, with
+ * `<name>.assets.zip` when slice images are given, `<name>.txt` (the
+ * plain-text version) when asked for and `<name>.eml` when asked for or
+ * when images are attached.
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { STEPS, EMBED_MODES, runPipeline } = require('../lib/transform');
+const { checkLinks } = require('../lib/link-check');
+const { PLATFORMS } = require('../lib/merge-tags');
+const { PROFILES } = require('../lib/profiles');
+const { lintHtml } = require('../lib/lint');
+const { formatBytes } = require('../lib/size');
+const { collectImages, optimizeImages, packageAssets } = require('../lib/assets');
+const { createEml } = require('../lib/mime');
+
+const OUTPUT_SUFFIX = '.clean.html';
+const ASSETS_SUFFIX = '.assets.zip';
+const MESSAGE_SUFFIX = '.eml';
+const TEXT_SUFFIX = '.txt';
+
+const USAGE = `Usage: cleansend <file.html|directory> [options]
+
+Options:
+  --image-url <url>       Base URL prepended to relative image paths
+  --preview-text <text>   Hidden preview text shown in the inbox
+  --utm-source <value>    utm_source added to every link
+  --utm-medium <value>    utm_medium added to every link
+  --utm-campaign <value>  utm_campaign added to every link
+  --utm-content <value>   utm_content added to every link
+  --utm-term <value>      utm_term added to every link
+  --utm-auto-content      utm_content per link from the slice name
+  --utm-param <k=v>       Extra query parameter for every link (repeatable)
+  --links <file.json>     Per-link edits, as {"<href>": {"href": "<new url>",
+                          "exclude": true, "params": {...}}}
+  --responsive            Fluid 100% tables capped by max-width
+  --width <px>            Email width (default: the source table's width)
+  --retina                Slices are @2x exports; halve image display sizes
+  --spacer-cells          Replace spacer GIFs with empty width-holding cells
+  --profile <name>        Export profile: sanitize, editable regions and
+                          required footer for one ESP; sets --platform
+                          (${Object.keys(PROFILES).join(', ')})
+  --platform <name>       ESP whose merge tags are kept intact and whose
+                          footer is used
+                          (${Object.keys(PLATFORMS).join(', ')})
+  --footer                Append the platform footer (unsubscribe, address,
+                          view in browser)
+  --footer-address <text> Postal address for the footer
+  --alt-text <file.json>  Alt text per image, as {"<src in the source>": "text"}
+  --hotspots <file.json>  Linked areas per slice, as {"<src in the source>":
+                          [{"x", "y", "width", "height", "href", "alt"}]} with
+                          fractions of the slice; each slice is cut into
+                          <name>-1.jpg, <name>-2.jpg... (cropped by the web UI,
+                          not here)
+  --assets <dir|file.zip> Slice images: rename them after their alt text
+                          with a content hash, point the srcs at the new
+                          names and write them to <name>${ASSETS_SUFFIX} for
+                          upload (images are not recompressed here; the web
+                          UI does that)
+  --embed <mode>          With --assets: "data" inlines small images as
+                          data: URIs (Gmail and Outlook don't show them),
+                          "cid" attaches every image to <name>${MESSAGE_SUFFIX}
+  --embed-limit <KB>      Largest image inlined by --embed data (default 8)
+  --eml                   Also write <name>${MESSAGE_SUFFIX}: HTML with a plain-text
+                          alternative, to open in a desktop client or send
+                          through SMTP
+  --text                  Also write <name>${TEXT_SUFFIX}: the plain-text version
+                          (preview text, each slice's alt text and link,
+                          footer) for the ESP's text part
+  --subject <text>        Subject of the .eml
+  --from <address>        From of the .eml, e.g. "Solmar <news@solmar.ca>"
+  --to <address>          To of the .eml
+  --document              Write a complete HTML email document instead of
+                          the bare fragment for pasting into an ESP editor
+  --pretty                Indent the table structure for code review
+  --minify                Shrink the output, keeping MSO conditionals, VML
+                          and merge tags
+  --skip <ids>            Comma-separated checklist steps to switch off,
+                          repeatable (${STEPS.map((step) => step.id).join(', ')})
+  --report                Print the checklist report and size breakdown for
+                          each file (a warning near Gmail's clipping limit
+                          is always printed)
+  --check-links           Request every link and report status, redirects
+                          and stripped UTM parameters (exits 1 on problems)
+  --lint                  List CSS and HTML that email clients don't support,
+                          with line numbers (exits 1 on errors)
+  -o, --out <file>        Output file (single input file only)
+  -h, --help              Show this help
+`;
+
+// Flag name -> transform option name
+const VALUE_FLAGS = {
+  '--image-url': 'imageUrl',
+  '--preview-text': 'description',
+  '--utm-source': 'campaignSource',
+  '--utm-medium': 'campaignMedium',
+  '--utm-campaign': 'campaignName',
+  '--utm-content': 'campaignContent',
+  '--utm-term': 'campaignTerm',
+  '--footer-address': 'footerAddress',
+};
+
+// Flag name -> .eml header
+const MESSAGE_FLAGS = {
+  '--subject': 'subject',
+  '--from': 'from',
+  '--to': 'to',
+};
+
+/**
+ * Read a JSON object option file
+ * @param {string} file - Path given on the command line
+ * @param {string} description - What the object maps, for error messages
+ * @returns {Object}
+ */
+function readJsonObject(file, description) {
+  let value;
+  try {
+    value = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read ${file}: ${error.message}`);
+  }
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error(`${file} must hold an object of ${description}`);
+  }
+  return value;
+}
+
+/**
+ * Parse command-line arguments
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {{input: ?string, out: ?string, assets: ?string, help: boolean, report: boolean,
+ *   checkLinks: boolean, lint: boolean, eml: boolean, text: boolean, message: Object, options: Object}}
+ */
+function parseArgs(argv) {
+  const args = {
+    input: null,
+    out: null,
+    assets: null,
+    help: false,
+    report: false,
+    checkLinks: false,
+    lint: false,
+    eml: false,
+    text: false,
+    message: {},
+    options: {},
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    let arg = argv[i];
+    let value;
+    const eq = arg.indexOf('=');
+    if (arg.startsWith('--') && eq !== -1) {
+      value = arg.slice(eq + 1);
+      arg = arg.slice(0, eq);
+    }
+    const takeValue = () => {
+      if (value !== undefined) return value;
+      if (i + 1 >= argv.length) throw new Error(`Missing value for ${arg}`);
+      return argv[++i];
+    };
+
+    if (arg === '-h' || arg === '--help') {
+      args.help = true;
+    } else if (arg === '--responsive') {
+      args.options.isResponsive = true;
+    } else if (arg === '--retina') {
+      args.options.retina = true;
+    } else if (arg === '--spacer-cells') {
+      args.options.spacerCells = true;
+    } else if (arg === '--document') {
+      args.options.output = 'document';
+    } else if (arg === '--pretty' || arg === '--minify') {
+      const format = arg.slice(2);
+      if (args.options.format && args.options.format !== format) throw new Error('Use only one of --pretty and --minify');
+      args.options.format = format;
+    } else if (arg === '--width') {
+      const width = takeValue();
+      if (!/^\d+$/.test(width) || parseInt(width, 10) <= 0) {
+        throw new Error(`--width must be a positive whole number of pixels, got "${width}"`);
+      }
+      args.options.width = parseInt(width, 10);
+    } else if (arg === '--alt-text') {
+      args.options.altText = readJsonObject(takeValue(), 'image src -> alt text');
+    } else if (arg === '--hotspots') {
+      args.options.hotspots = readJsonObject(takeValue(), 'image src -> hotspot lists');
+    } else if (arg === '--assets') {
+      args.assets = takeValue();
+    } else if (arg === '--embed') {
+      const mode = takeValue();
+      if (!EMBED_MODES.includes(mode)) throw new Error(`--embed must be one of ${EMBED_MODES.join(', ')}, got "${mode}"`);
+      args.options.embed = mode;
+    } else if (arg === '--embed-limit') {
+      const limit = takeValue();
+      if (!/^\d+(\.\d+)?$/.test(limit)) throw new Error(`--embed-limit must be a number of kilobytes, got "${limit}"`);
+      args.options.embedLimit = Math.round(parseFloat(limit) * 1024);
+    } else if (arg === '--eml') {
+      args.eml = true;
+    } else if (arg === '--text') {
+      args.text = true;
+    } else if (MESSAGE_FLAGS[arg]) {
+      args.message[MESSAGE_FLAGS[arg]] = takeValue().trim();
+    } else if (arg === '--links') {
+      args.options.links = readJsonObject(takeValue(), 'href -> link override');
+    } else if (arg === '--profile') {
+      const profile = takeValue();
+      if (!PROFILES[profile]) throw new Error(`Unknown profile ${profile}`);
+      args.options.profile = profile;
+    } else if (arg === '--platform') {
+      const platform = takeValue();
+      if (!PLATFORMS[platform]) throw new Error(`Unknown platform ${platform}`);
+      args.options.platform = platform;
+    } else if (arg === '--footer') {
+      args.options.footer = true;
+    } else if (arg === '--utm-auto-content') {
+      args.options.autoContent = true;
+    } else if (arg === '--utm-param') {
+      const param = takeValue();
+      const eqAt = param.indexOf('=');
+      if (eqAt < 1) throw new Error(`--utm-param must look like name=value, got "${param}"`);
+      args.options.utmParams = { ...args.options.utmParams, [param.slice(0, eqAt)]: param.slice(eqAt + 1) };
+    } else if (arg === '--skip') {
+      const ids = takeValue().split(',').map((id) => id.trim()).filter(Boolean);
+      const unknown = ids.filter((id) => !STEPS.some((step) => step.id === id));
+      if (unknown.length) throw new Error(`Unknown step ${unknown.join(', ')}`);
+      // Repeated --skip flags add up
+      args.options.steps = { ...args.options.steps, ...Object.fromEntries(ids.map((id) => [id, false])) };
+    } else if (arg === '--report') {
+      args.report = true;
+    } else if (arg === '--check-links') {
+      args.checkLinks = true;
+    } else if (arg === '--lint') {
+      args.lint = true;
+    } else if (arg === '-o' || arg === '--out') {
+      args.out = takeValue();
+    } else if (VALUE_FLAGS[arg]) {
+      args.options[VALUE_FLAGS[arg]] = takeValue().trim();
+    } else if (arg.startsWith('-')) {
+      throw new Error(`Unknown option ${arg}`);
+    } else if (args.input) {
+      throw new Error(`Unexpected argument ${arg}`);
+    } else {
+      args.input = arg;
+    }
+  }
+
+  return args;
+}
+
+/**
+ * Format a pipeline report as indented lines
+ * @param {Array<Object>} report - Report from runPipeline
+ * @returns {string}
+ */
+function formatReport(report) {
+  return report.map((entry) => {
+    let mark = '-';
+    if (entry.passed === true) mark = 'PASS';
+    else if (entry.passed === false) mark = 'FAIL';
+    let detail = 'not applied';
+    if (!entry.enabled) detail = 'skipped';
+    else if (entry.count) detail = `${entry.count} element${entry.count === 1 ? '' : 's'}`;
+    const name = entry.section ? `${entry.section}: ${entry.label}` : entry.label;
+    return `  ${mark.padEnd(4)} ${name} (${detail})\n`;
+  }).join('');
+}
+
+// Link problem -> report wording
+const LINK_ISSUES = {
+  empty: 'empty href',
+  malformed: 'malformed URL',
+  insecure: 'not https',
+};
+
+/**
+ * Format the images and links flagged by the pipeline audits as indented lines
+ * @param {Array<Object>} images - Image audit from runPipeline
+ * @param {Array<Object>} links - Link inventory from runPipeline
+ * @returns {string}
+ */
+function formatIssues(images, links) {
+  const lines = [];
+  const seen = new Set();
+  images.forEach((image) => {
+    if (seen.has(image.key)) return;
+    seen.add(image.key);
+    if (image.missing) lines.push(`${image.key}: missing alt text`);
+    else if (image.duplicate) lines.push(`${image.key}: duplicate alt text "${image.alt}"`);
+    if (image.unlinked) lines.push(`${image.key}: looks like a call to action but has no link`);
+  });
+  links.forEach((link) => {
+    if (link.issues.length) {
+      lines.push(`${link.key || '<a> without href'}: ${link.issues.map((issue) => LINK_ISSUES[issue]).join(', ')}`);
+    }
+  });
+  return lines.map((line) => `       ${line}\n`).join('');
+}
+
+/**
+ * Format link check results as indented lines
+ * @param {Array<Object>} results - Results from checkLinks
+ * @returns {string}
+ */
+function formatLinkCheck(results) {
+  return results.map((result) => {
+    const statuses = result.chain.map((hop) => hop.status).join(' -> ');
+    let line = `  ${result.ok ? 'OK  ' : 'FAIL'} ${statuses || '---'} ${result.href}`;
+    if (result.finalUrl && result.finalUrl !== result.href) line += `\n         -> ${result.finalUrl}`;
+    if (result.utmStripped.length) line += `\n         redirect drops ${result.utmStripped.join(', ')}`;
+    if (result.error) line += `\n         ${result.error}`;
+    return `${line}\n`;
+  }).join('');
+}
+
+/**
+ * Format the size breakdown as indented lines
+ * @param {Object} size - `size` from runPipeline
+ * @returns {string}
+ */
+function formatSize(size) {
+  const lines = [`  Size ${size.message}`, `       source ${formatBytes(size.source)}`];
+  size.steps.filter((step) => step.bytes).forEach((step) => {
+    lines.push(`       ${step.bytes > 0 ? '+' : ''}${formatBytes(step.bytes)} ${step.label}`);
+  });
+  return lines.map((line) => `${line}\n`).join('');
+}
+
+/**
+ * Format compatibility lint results as indented lines, errors first
+ * @param {{errors: Array<Object>, warnings: Array<Object>}} results - From lintHtml
+ * @returns {string}
+ */
+function formatLint(results) {
+  return [...results.errors, ...results.warnings].map((result) => {
+    let line = `  ${result.level === 'error' ? 'ERR ' : 'WARN'} ${result.label} (line ${result.lines.join(', ')})`;
+    if (result.unsupported.length) line += `\n         unsupported: ${result.unsupported.join(', ')}`;
+    if (result.partial.length) line += `\n         partial: ${result.partial.join(', ')}`;
+    return `${line}\n         ${result.note}\n`;
+  }).join('');
+}
+
+/**
+ * Format the renamed images and the srcs left without one as indented lines
+ * @param {Object} assets - `assets` from runPipeline
+ * @returns {string}
+ */
+function formatAssets(assets) {
+  const seen = new Set();
+  const lines = [];
+  assets.files.forEach((file) => {
+    if (seen.has(file.name)) return;
+    seen.add(file.name);
+    const embedded = { data: ', data: URI', cid: ', attached' }[file.embed] || '';
+    lines.push(`  ${file.path} -> ${file.name} (${formatBytes(file.bytes)}${embedded})`);
+  });
+  assets.missing.forEach((src) => lines.push(`  ${src}: no matching image`));
+  return lines.map((line) => `${line}\n`).join('');
+}
+
+/**
+ * Read slice images from a folder (recursively) or a zip
+ * @param {string} input - Path given on the command line
+ * @returns {Promise<Array<Object>>} - From assets.optimizeImages
+ */
+async function readAssets(input) {
+  const resolved = path.resolve(input);
+  const files = [];
+  const walk = (dir) => {
+    fs.readdirSync(dir, { withFileTypes: true }).forEach((entry) => {
+      const full = path.join(dir, entry.name);
+      if (entry.isDirectory()) walk(full);
+      else files.push({ name: path.relative(resolved, full).split(path.sep).join('/'), data: fs.readFileSync(full) });
+    });
+  };
+  if (fs.statSync(resolved).isDirectory()) walk(resolved);
+  else files.push({ name: path.basename(resolved), data: fs.readFileSync(resolved) });
+
+  const images = await collectImages(files);
+  if (!images.length) throw new Error('no JPG, PNG or GIF images found');
+  return optimizeImages(images);
+}
+
+/**
+ * List the HTML files to convert for a file or directory input
+ * @param {string} input - Path given on the command line
+ * @returns {string[]} - Absolute file paths
+ */
+function collectInputs(input) {
+  const resolved = path.resolve(input);
+  const stat = fs.statSync(resolved);
+  if (!stat.isDirectory()) return [resolved];
+
+  return fs.readdirSync(resolved)
+    .filter((name) => /\.html?$/i.test(name) && !name.endsWith(OUTPUT_SUFFIX))
+    .sort()
+    .map((name) => path.join(resolved, name));
+}
+
+/**
+ * Output path written next to an input file
+ * @param {string} file - Input file path
+ * @returns {string}
+ */
+function outputPathFor(file) {
+  return file.replace(/\.html?$/i, '') + OUTPUT_SUFFIX;
+}
+
+/**
+ * Path of a file written next to an output file (asset zip, message, text)
+ * @param {string} target - Output file path
+ * @param {string} suffix - ASSETS_SUFFIX, MESSAGE_SUFFIX or TEXT_SUFFIX
+ * @returns {string}
+ */
+function companionPathFor(target, suffix) {
+  return target.replace(/(\.clean)?\.html?$/i, '') + suffix;
+}
+
+async function main(argv) {
+  let args;
+  try {
+    args = parseArgs(argv);
+  } catch (error) {
+    process.stderr.write(`${error.message}\n\n${USAGE}`);
+    return 1;
+  }
+
+  if (args.help || !args.input) {
+    process.stdout.write(USAGE);
+    return args.help ? 0 : 1;
+  }
+
+  let files;
+  try {
+    files = collectInputs(args.input);
+  } catch (error) {
+    process.stderr.write(`Cannot read ${args.input}: ${error.message}\n`);
+    return 1;
+  }
+
+  if (!files.length) {
+    process.stderr.write(`No .html files found in ${args.input}\n`);
+    return 1;
+  }
+  if (args.out && files.length > 1) {
+    process.stderr.write('--out can only be used with a single input file\n');
+    return 1;
+  }
+
+  if (args.options.embed && args.options.embed !== 'none' && !args.assets) {
+    process.stderr.write('--embed needs the slice images (--assets)\n');
+    return 1;
+  }
+  if (args.assets) {
+    try {
+      args.options.assets = await readAssets(args.assets);
+    } catch (error) {
+      process.stderr.write(`Cannot read images from ${args.assets}: ${error.message}\n`);
+      return 1;
+    }
+    if (!args.options.assets.some((asset) => asset.optimized)) {
+      process.stderr.write('Note: images are renamed but not recompressed (Node has no image encoder; the web UI recompresses)\n');
+    }
+  }
+
+  let failed = 0;
+  for (const file of files) {
+    const target = args.out ? path.resolve(args.out) : outputPathFor(file);
+    let result;
+    try {
+      result = runPipeline(fs.readFileSync(file, 'utf8'), { ...args.options, size: true, text: true });
+      fs.writeFileSync(target, result.html);
+      process.stdout.write(`${path.relative(process.cwd(), file)} -> ${path.relative(process.cwd(), target)}\n`);
+      if (result.assets) {
+        // Embedded images travel with the email; the zip holds the ones to upload
+        if (result.assets.files.some((asset) => !asset.embed)) {
+          const zipPath = companionPathFor(target, ASSETS_SUFFIX);
+          fs.writeFileSync(zipPath, packageAssets(result.assets.files));
+          process.stdout.write(`${path.relative(process.cwd(), file)} -> ${path.relative(process.cwd(), zipPath)}\n`);
+        }
+        process.stdout.write(formatAssets(result.assets));
+      }
+      if (args.text) {
+        const textPath = companionPathFor(target, TEXT_SUFFIX);
+        fs.writeFileSync(textPath, result.text);
+        process.stdout.write(`${path.relative(process.cwd(), file)} -> ${path.relative(process.cwd(), textPath)}\n`);
+      }
+      const attached = result.assets ? result.assets.files.filter((asset) => asset.embed === 'cid') : [];
+      if (args.eml || attached.length) {
+        const messagePath = companionPathFor(target, MESSAGE_SUFFIX);
+        fs.writeFileSync(messagePath, createEml({
+          html: result.html,
+          text: result.text,
+          images: attached,
+          preheader: args.options.description,
+          ...args.message,
+        }));
+        process.stdout.write(`${path.relative(process.cwd(), file)} -> ${path.relative(process.cwd(), messagePath)}\n`);
+      }
+      if (args.report) {
+        process.stdout.write(formatReport(result.report) + formatIssues(result.images, result.links) +
+          formatSize(result.size));
+      }
+      if (result.size.level !== 'ok') process.stderr.write(`Warning: ${path.basename(file)} ${result.size.message}\n`);
+      if (args.lint) {
+        const lint = lintHtml(result.html);
+        process.stdout.write(formatLint(lint));
+        if (lint.errors.length) failed++;
+      }
+    } catch (error) {
+      failed++;
+      process.stderr.write(`Failed to convert ${file}: ${error.message}\n`);
+      continue;
+    }
+
+    if (args.checkLinks) {
+      const results = await checkLinks(result.links);
+      process.stdout.write(formatLinkCheck(results));
+      if (results.some((check) => !check.ok || check.utmStripped.length)) failed++;
+    }
+  }
+
+  return failed ? 1 : 0;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then((code) => {
+    process.exitCode = code;
+  }, (error) => {
+    // Anything not reported per file (a link check that cannot run, say)
+    process.stderr.write(`${error.message}\n`);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { parseArgs, main };
@@ -0,0 +1,235 @@
+/**
+ * Slice image assets
+ *
+ * Takes the images of a slice export (a dropped folder or a zip), makes
+ * them smaller where it can and gives each a meaningful, content-hashed
+ * file name ("spring-sale-hero-3f9a2c1b.jpg"), so a re-export never gets
+ * an old copy from a CDN or inbox cache. The transform pipeline points
+ * each `src` at the renamed file under the base image URL (see the
+ * `assets` option of runPipeline) and packageAssets zips them for upload.
+ *
+ * Recompression draws each image on a canvas and re-encodes it as JPEG
+ * and PNG, keeping whichever is smallest (the original included). That
+ * needs a browser: under Node images are renamed but left as they are.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./zip'));
+  } else {
+    root.CleanSend = root.CleanSend || {};
+    root.CleanSend.assets = factory(root.CleanSend.zip);
+  }
+})(typeof self !== 'undefined' ? self : this, function (zip) {
+  'use strict';
+
+  // MIME type -> file extension written
+  const IMAGE_TYPES = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/gif': 'gif',
+  };
+
+  const DEFAULT_OPTIMIZE_OPTIONS = {
+    // JPEG quality used when re-encoding (0-1)
+    quality: 0.8,
+    // (file, quality) => Promise<Array<{data: Uint8Array, type: string}>>;
+    // defaults to canvas re-encoding where the browser supports it
+    encoder: null,
+  };
+
+  // Longest name part taken from the alt text or file name
+  const MAX_SLUG_LENGTH = 40;
+
+  /**
+   * Image type from the first bytes of a file (extensions are often wrong)
+   * @param {Uint8Array} data - File contents
+   * @returns {?string} - MIME type, or null when it isn't a JPG, PNG or GIF
+   */
+  function sniffType(data) {
+    if (data[0] === 0xff && data[1] === 0xd8 && data[2] === 0xff) return 'image/jpeg';
+    if (data[0] === 0x89 && data[1] === 0x50 && data[2] === 0x4e && data[3] === 0x47) return 'image/png';
+    if (data[0] === 0x47 && data[1] === 0x49 && data[2] === 0x46) return 'image/gif';
+    return null;
+  }
+
+  /**
+   * Compare form of a path or src: forward slashes, no leading `./` or `/`,
+   * no query or fragment, lowercase
+   * @param {string} path - File path or image src
+   * @returns {string}
+   */
+  function normalizePath(path) {
+    return path.replace(/\\/g, '/').replace(/[?#].*$/, '').replace(/^(\.?\/)+/, '').toLowerCase();
+  }
+
+  /**
+   * Lowercase, hyphenated file name part, cut at a word boundary
+   * @param {string} text - Alt text or file name
+   * @returns {string}
+   */
+  function slugify(text) {
+    const slug = text.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+    if (slug.length <= MAX_SLUG_LENGTH) return slug;
+    const cut = slug.slice(0, MAX_SLUG_LENGTH + 1);
+    return cut.slice(0, cut.lastIndexOf('-') > 0 ? cut.lastIndexOf('-') : MAX_SLUG_LENGTH);
+  }
+
+  /**
+   * Short hash of a file's contents, for cache-busting
+   * @param {Uint8Array} data - File contents
+   * @returns {string} - 8 hex digits
+   */
+  function contentHash(data) {
+    return zip.crc32(data).toString(16).padStart(8, '0');
+  }
+
+  /**
+   * Keep the image files of a drop, unpacking zips; macOS resource forks,
+   * hidden files and anything that isn't a JPG, PNG or GIF are skipped
+   * @param {Array<{name: string, data: Uint8Array}>} files - Dropped files,
+   *   `name` being the path relative to the dropped folder
+   * @returns {Promise<Array<{path: string, data: Uint8Array, type: string}>>}
+   */
+  async function collectImages(files) {
+    const images = [];
+    for (const file of files) {
+      if (/\.zip$/i.test(file.name)) {
+        images.push(...await collectImages(await zip.readZip(file.data)));
+        continue;
+      }
+      const path = file.name.replace(/\\/g, '/');
+      if (path.split('/').some((part) => part.startsWith('.') || part === '__MACOSX')) continue;
+      const type = sniffType(file.data);
+      if (type) images.push({ path, data: file.data, type });
+    }
+    return images;
+  }
+
+  /**
+   * Re-encode an image on a canvas as JPEG (when it has no transparency) and PNG
+   * @param {{data: Uint8Array, type: string}} file - Image
+   * @param {number} quality - JPEG quality (0-1)
+   * @returns {Promise<Array<{data: Uint8Array, type: string}>>}
+   */
+  async function canvasEncoder(file, quality) {
+    const bitmap = await createImageBitmap(new Blob([file.data], { type: file.type }));
+    const { width, height } = bitmap;
+    const canvas = typeof OffscreenCanvas === 'function'
+      ? new OffscreenCanvas(width, height)
+      : Object.assign(document.createElement('canvas'), { width, height });
+    const context = canvas.getContext('2d');
+    context.drawImage(bitmap, 0, 0);
+    bitmap.close();
+
+    const pixels = context.getImageData(0, 0, width, height).data;
+    let opaque = true;
+    for (let i = 3; i < pixels.length && opaque; i += 4) opaque = pixels[i] === 255;
+
+    const encode = (type) => (canvas.convertToBlob
+      ? canvas.convertToBlob({ type, quality })
+      : new Promise((resolve) => canvas.toBlob(resolve, type, quality)));
+    const types = opaque ? ['image/jpeg', 'image/png'] : ['image/png'];
+    const blobs = await Promise.all(types.map(encode));
+    return Promise.all(blobs.filter(Boolean).map(async (blob) =>
+      ({ data: new Uint8Array(await blob.arrayBuffer()), type: blob.type })));
+  }
+
+  /**
+   * Make each image as small as the encoder can; GIFs (which may be animated)
+   * and images the encoder can't read are kept as they are
+   * @param {Array<{path: string, data: Uint8Array, type: string}>} images - From collectImages
+   * @param {Object} [options] - See DEFAULT_OPTIMIZE_OPTIONS
+   * @returns {Promise<Array<{path: string, data: Uint8Array, type: string,
+   *   originalType: string, originalBytes: number, optimized: boolean}>>}
+   *   - `optimized` is true only when a re-encoded copy replaced the image;
+   *   false for GIFs, unreadable files, originals that were already
+   *   smallest, or with no encoder (as under Node)
+   */
+  async function optimizeImages(images, options = {}) {
+    const { quality, encoder } = { ...DEFAULT_OPTIMIZE_OPTIONS, ...options };
+    const encode = encoder || (typeof createImageBitmap === 'function' ? canvasEncoder : null);
+    const optimized = [];
+    for (const image of images) {
+      let candidates = [];
+      if (encode && image.type !== 'image/gif') {
+        try {
+          candidates = await encode(image, quality);
+        } catch (error) {
+          candidates = [];
+        }
+      }
+      // The original wins ties: re-encoding only pays when it saves bytes
+      const best = candidates.filter((candidate) => IMAGE_TYPES[candidate.type])
+        .reduce((smallest, candidate) => (candidate.data.length < smallest.data.length ? candidate : smallest), image);
+      optimized.push({
+        path: image.path,
+        data: best.data,
+        type: best.type,
+        originalType: image.type,
+        originalBytes: image.data.length,
+        optimized: best !== image,
+      });
+    }
+    return optimized;
+  }
+
+  /**
+   * The uploaded image an email src refers to: same path, else the same
+   * path under the dropped folder, else the only file with that name
+   * @param {string} src - Image src as written in the source
+   * @param {Array<{path: string}>} assets - Images
+   * @returns {?Object}
+   */
+  function matchAsset(src, assets) {
+    if (!src || /^(https?:|data:|cid:)/i.test(src) || src.startsWith('//')) return null;
+    const wanted = normalizePath(src);
+    const exact = assets.find((asset) => normalizePath(asset.path) === wanted);
+    if (exact) return exact;
+    const nested = assets.find((asset) => normalizePath(asset.path).endsWith(`/${wanted}`));
+    if (nested) return nested;
+    const name = wanted.split('/').pop();
+    const named = assets.filter((asset) => normalizePath(asset.path).split('/').pop() === name);
+    return named.length === 1 ? named[0] : null;
+  }
+
+  /**
+   * Meaningful, cache-busted file name for an image
+   * @param {{path: string, data: Uint8Array, type: string}} asset - Image
+   * @param {string} [description] - Alt text; the file name is used when blank
+   * @returns {string} - e.g. "spring-sale-hero-3f9a2c1b.jpg"
+   */
+  function assetName(asset, description) {
+    const fileName = asset.path.split('/').pop().replace(/\.[^.]*$/, '');
+    const slug = slugify(description || '') || slugify(fileName) || 'image';
+    return `${slug}-${contentHash(asset.data)}.${IMAGE_TYPES[asset.type]}`;
+  }
+
+  /**
+   * Zip renamed images for upload; embedded ones (data: URIs, cid:
+   * attachments) travel with the email and are left out
+   * @param {Array<{name: string, data: Uint8Array, embed: ?string}>} files -
+   *   `assets.files` from runPipeline
+   * @param {Object} [options] - See zip.createZip
+   * @returns {Uint8Array}
+   */
+  function packageAssets(files, options) {
+    const seen = new Set();
+    const unique = files.filter((file) => !file.embed && !seen.has(file.name) && seen.add(file.name));
+    return zip.createZip(unique.map((file) => ({ name: file.name, data: file.data })), options);
+  }
+
+  return {
+    IMAGE_TYPES,
+    DEFAULT_OPTIMIZE_OPTIONS,
+    sniffType,
+    slugify,
+    contentHash,
+    collectImages,
+    canvasEncoder,
+    optimizeImages,
+    matchAsset,
+    assetName,
+    packageAssets,
+  };
+});
@@ -0,0 +1,223 @@
+/**
+ * Email client CSS / HTML support data
+ *
+ * Bundled so the linter works offline. Summarised from caniemail.com for
+ * the features slice-built emails actually run into; each entry lists the
+ * clients that ignore the feature (`unsupported`) or only honour it in
+ * some cases (`partial`). `level` is 'error' when the layout or content
+ * breaks with no fallback, 'warning' when the email degrades gracefully.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.CleanSend = root.CleanSend || {};
+    root.CleanSend.compatData = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const CLIENTS = {
+    'outlook-windows': 'Outlook for Windows (2007–2021, 365)',
+    'outlook-com': 'Outlook.com and the Outlook apps',
+    gmail: 'Gmail (webmail)',
+    'gmail-app': 'Gmail apps with non-Google accounts',
+    yahoo: 'Yahoo Mail',
+    'apple-mail': 'Apple Mail (macOS, iOS)',
+    samsung: 'Samsung Email',
+    thunderbird: 'Thunderbird',
+  };
+
+  /**
+   * @typedef {Object} Feature
+   * @property {string} id - Unique id
+   * @property {string} label - As shown in the report, e.g. "display:none"
+   * @property {string} type - 'property' (CSS property), 'value' (CSS
+   *   property with a matching value; name '*' for any property),
+   *   'at-rule', 'attribute' or 'element'
+   * @property {string} name - Property, at-rule, attribute or tag name
+   * @property {RegExp} [match] - Value pattern ('value' features)
+   * @property {string[]} unsupported - CLIENTS ids
+   * @property {string[]} partial - CLIENTS ids
+   * @property {string} level - 'error' or 'warning'
+   * @property {string} note - What to do about it
+   * @property {{property: string, value: string}} [fallback] - Declaration
+   *   on the same element that covers the unsupported clients
+   */
+
+  /** @type {Feature[]} */
+  const FEATURES = [
+    // Layout
+    {
+      id: 'display-none', label: 'display:none', type: 'value', name: 'display', match: /^none\b/i,
+      unsupported: [], partial: ['outlook-windows'], level: 'warning',
+      note: 'Outlook for Windows shows some hidden elements; add mso-hide:all.',
+      fallback: { property: 'mso-hide', value: 'all' },
+    },
+    {
+      id: 'display-flex', label: 'display:flex', type: 'value', name: 'display', match: /^(inline-)?flex\b/i,
+      unsupported: ['outlook-windows'], partial: ['gmail', 'gmail-app', 'outlook-com'], level: 'error',
+      note: 'Lay columns out with nested tables.',
+    },
+    {
+      id: 'display-grid', label: 'display:grid', type: 'value', name: 'display', match: /^(inline-)?grid\b/i,
+      unsupported: ['outlook-windows', 'outlook-com', 'gmail', 'gmail-app', 'yahoo'], partial: [], level: 'error',
+      note: 'Lay columns out with nested tables.',
+    },
+    {
+      id: 'position', label: 'position', type: 'property', name: 'position',
+      unsupported: ['outlook-windows', 'outlook-com', 'gmail', 'gmail-app', 'yahoo'], partial: [], level: 'error',
+      note: 'Positioned content lands in the normal flow; overlay text on the image instead.',
+    },
+    {
+      id: 'float', label: 'float', type: 'property', name: 'float',
+      unsupported: [], partial: ['outlook-windows'], level: 'warning',
+      note: 'Use align on tables and images instead.',
+    },
+    {
+      id: 'max-width', label: 'max-width', type: 'property', name: 'max-width',
+      unsupported: ['outlook-windows'], partial: [], level: 'warning',
+      note: 'Outlook uses the width attribute; give fluid content a fixed-width MSO table.',
+    },
+    {
+      id: 'min-width', label: 'min-width', type: 'property', name: 'min-width',
+      unsupported: ['outlook-windows'], partial: [], level: 'warning',
+      note: 'Outlook uses the width attribute.',
+    },
+    {
+      id: 'max-height', label: 'max-height', type: 'property', name: 'max-height',
+      unsupported: ['outlook-windows'], partial: [], level: 'warning',
+      note: 'Outlook ignores it; pair hidden content with mso-hide:all.',
+      fallback: { property: 'mso-hide', value: 'all' },
+    },
+    {
+      id: 'height-auto', label: 'height:auto', type: 'value', name: 'height', match: /^auto\b/i,
+      unsupported: [], partial: ['outlook-windows'], level: 'warning',
+      note: 'Outlook sizes images from the height attribute, so fluid images keep that height.',
+    },
+    {
+      id: 'object-fit', label: 'object-fit', type: 'property', name: 'object-fit',
+      unsupported: ['outlook-windows', 'outlook-com', 'gmail', 'gmail-app', 'yahoo'], partial: [], level: 'warning',
+      note: 'Crop the slice to its display size instead.',
+    },
+    // Decoration
+    {
+      id: 'border-radius', label: 'border-radius', type: 'property', name: 'border-radius',
+      unsupported: ['outlook-windows'], partial: [], level: 'warning',
+      note: 'Outlook shows square corners; use a VML roundrect for bulletproof buttons.',
+    },
+    {
+      id: 'box-shadow', label: 'box-shadow', type: 'property', name: 'box-shadow',
+      unsupported: ['outlook-windows'], partial: ['gmail-app', 'outlook-com'], level: 'warning',
+      note: 'Bake shadows into the slice.',
+    },
+    {
+      id: 'text-shadow', label: 'text-shadow', type: 'property', name: 'text-shadow',
+      unsupported: ['outlook-windows'], partial: [], level: 'warning',
+      note: 'Shown without the shadow.',
+    },
+    {
+      id: 'background-image', label: 'background-image', type: 'property', name: 'background-image',
+      unsupported: ['outlook-windows'], partial: ['gmail-app'], level: 'warning',
+      note: 'Outlook needs a VML fill; set a bgcolor fallback.',
+    },
+    {
+      id: 'background-url', label: 'background:url()', type: 'value', name: 'background', match: /url\(/i,
+      unsupported: ['outlook-windows'], partial: ['gmail-app'], level: 'warning',
+      note: 'Outlook needs a VML fill; set a bgcolor fallback.',
+    },
+    {
+      id: 'background-size', label: 'background-size', type: 'property', name: 'background-size',
+      unsupported: ['outlook-windows'], partial: ['gmail-app'], level: 'warning',
+      note: 'The image is shown at its natural size.',
+    },
+    {
+      id: 'opacity', label: 'opacity', type: 'property', name: 'opacity',
+      unsupported: ['outlook-windows'], partial: [], level: 'warning',
+      note: 'Shown fully opaque.',
+    },
+    {
+      id: 'rgba', label: 'rgba() colour', type: 'value', name: '*', match: /\brgba\(/i,
+      unsupported: [], partial: ['outlook-windows'], level: 'warning',
+      note: 'Outlook drops the declaration; put a hex colour before it.',
+    },
+    {
+      id: 'transform', label: 'transform', type: 'property', name: 'transform',
+      unsupported: ['outlook-windows', 'gmail-app'], partial: ['gmail'], level: 'warning',
+      note: 'Shown untransformed.',
+    },
+    {
+      id: 'transition', label: 'transition', type: 'property', name: 'transition',
+      unsupported: ['outlook-windows', 'outlook-com', 'gmail', 'gmail-app', 'yahoo'], partial: [], level: 'warning',
+      note: 'No animation; the end state must read on its own.',
+    },
+    {
+      id: 'animation', label: 'animation', type: 'property', name: 'animation',
+      unsupported: ['outlook-windows', 'outlook-com', 'gmail', 'gmail-app', 'yahoo'], partial: [], level: 'warning',
+      note: 'No animation; the first frame must read on its own.',
+    },
+    // Values
+    {
+      id: 'css-variables', label: 'var()', type: 'value', name: '*', match: /\bvar\(\s*--/i,
+      unsupported: ['outlook-windows', 'outlook-com', 'gmail', 'gmail-app', 'yahoo'], partial: [], level: 'error',
+      note: 'The whole declaration is dropped; write the value out.',
+    },
+    {
+      id: 'calc', label: 'calc()', type: 'value', name: '*', match: /\bcalc\(/i,
+      unsupported: ['outlook-windows'], partial: ['gmail-app'], level: 'warning',
+      note: 'Put a fixed value before it.',
+    },
+    // At-rules
+    {
+      id: 'media-queries', label: '@media', type: 'at-rule', name: 'media',
+      unsupported: ['gmail-app'], partial: ['outlook-windows', 'yahoo'], level: 'warning',
+      note: 'The desktop layout must work on its own at phone widths.',
+    },
+    {
+      id: 'font-face', label: '@font-face', type: 'at-rule', name: 'font-face',
+      unsupported: ['outlook-windows', 'outlook-com', 'gmail', 'gmail-app', 'yahoo'], partial: [], level: 'warning',
+      note: 'Falls back to the next font in the stack.',
+    },
+    {
+      id: 'import', label: '@import', type: 'at-rule', name: 'import',
+      unsupported: ['outlook-windows', 'outlook-com', 'gmail', 'gmail-app', 'yahoo'], partial: [], level: 'error',
+      note: 'Imported styles never load; inline them.',
+    },
+    // HTML
+    {
+      id: 'style-element', label: '<style>', type: 'element', name: 'style',
+      unsupported: ['gmail-app'], partial: [], level: 'warning',
+      note: 'Everything the email needs must be inlined.',
+    },
+    {
+      id: 'background-attribute', label: 'background attribute', type: 'attribute', name: 'background',
+      unsupported: ['outlook-windows'], partial: [], level: 'warning',
+      note: 'Outlook needs a VML fill; set a bgcolor fallback.',
+    },
+    {
+      id: 'srcset', label: 'srcset attribute', type: 'attribute', name: 'srcset',
+      unsupported: ['outlook-windows', 'outlook-com', 'gmail', 'gmail-app', 'yahoo'], partial: [], level: 'warning',
+      note: 'src is used instead.',
+    },
+    {
+      id: 'svg', label: '<svg>', type: 'element', name: 'svg',
+      unsupported: ['outlook-windows', 'outlook-com', 'gmail', 'gmail-app', 'yahoo'], partial: [], level: 'error',
+      note: 'Export the graphic as a PNG slice.',
+    },
+    {
+      id: 'video', label: '<video>', type: 'element', name: 'video',
+      unsupported: ['outlook-windows', 'outlook-com', 'gmail', 'gmail-app', 'yahoo'], partial: ['samsung'], level: 'error',
+      note: 'Link a poster image to the video instead.',
+    },
+    {
+      id: 'form', label: '<form>', type: 'element', name: 'form',
+      unsupported: ['outlook-windows', 'outlook-com', 'gmail-app'], partial: ['gmail', 'yahoo'], level: 'error',
+      note: 'Link to a form on the website instead.',
+    },
+  ];
+
+  return {
+    CLIENTS,
+    FEATURES,
+  };
+});
@@ -0,0 +1,153 @@
+/**
+ * Structural diff of pipeline steps
+ *
+ * Every step edits the same parsed tree, so elements keep their identity
+ * from one step to the next. Snapshotting each element's attributes, parent
+ * and own text before and after a step gives an exact attribute-level diff
+ * of what that step did — no sequence matching, and no false "rewrites"
+ * when a step only wraps or moves content.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./dom'));
+  } else {
+    root.CleanSend = root.CleanSend || {};
+    root.CleanSend.diff = factory(root.CleanSend.dom);
+  }
+})(typeof self !== 'undefined' ? self : this, function (dom) {
+  'use strict';
+
+  /**
+   * Readable location of an element, e.g. "table > tr[2] > td > a > img"
+   * @param {Element} element - Element in the tree
+   * @returns {string}
+   */
+  function elementPath(element) {
+    const parts = [];
+    for (let node = element; node && node.type === 'element'; node = node.parent) {
+      const siblings = node.parent ? node.parent.elementChildren.filter((child) => child.tagName === node.tagName) : [];
+      parts.unshift(siblings.length > 1 ? `${node.tagName}[${siblings.indexOf(node) + 1}]` : node.tagName);
+    }
+    return parts.join(' > ');
+  }
+
+  /**
+   * Text directly inside an element (not its descendants), whitespace collapsed
+   * @param {Element} element - Element
+   * @returns {string}
+   */
+  function ownText(element) {
+    return element.children.filter((child) => child.type === 'text')
+      .map((child) => child.value).join('').replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Record the state of every element of a tree
+   * @param {Fragment} tree - Parsed document
+   * @returns {Map<Element, {path: string, parent: ?Node, attributes: Map<string, string>, text: string}>}
+   *   - Boolean attributes are recorded as ''
+   */
+  function snapshot(tree) {
+    return new Map(tree.getElementsByTagName('*').map((element) => [element, {
+      path: elementPath(element),
+      parent: element.parent,
+      attributes: new Map(element.attributes.map(({ name, value }) => [name, value === null ? '' : value])),
+      text: ownText(element),
+    }]));
+  }
+
+  /**
+   * Opening tag of a snapshotted element
+   * @param {Element} element - Element
+   * @param {Object} state - Its snapshot entry
+   * @param {function(string): string} restore - Applied to attribute values
+   * @returns {string}
+   */
+  function openTag(element, state, restore) {
+    let attrs = '';
+    state.attributes.forEach((value, name) => {
+      attrs += ` ${name}="${dom.escapeAttribute(restore(value))}"`;
+    });
+    return `<${element.tagName}${attrs}>`;
+  }
+
+  /**
+   * Changes between two snapshots of the same tree. Descendants of an
+   * added or removed element and moves into a new wrapper (or out of a
+   * removed one) are folded into that element's entry.
+   * @param {Map} before - snapshot() before the edit
+   * @param {Map} after - snapshot() after the edit
+   * @param {Object} [options]
+   * @param {function(string): string} [options.restore] - Applied to every
+   *   reported value (e.g. to put merge tags back)
+   * @returns {Array<{type: string, path: string, tagName: string, name: ?string,
+   *   before: ?string, after: ?string}>}
+   *   - `type` is 'added', 'removed', 'moved', 'attribute' or 'text'. For
+   *   added/removed elements `after`/`before` is the opening tag, for moves
+   *   `before` is the old path, for attributes null means absent
+   */
+  function diffSnapshots(before, after, { restore = (value) => value } = {}) {
+    const changes = [];
+    const added = (node) => node && node.type === 'element' && !before.has(node);
+    const removed = (node) => node && node.type === 'element' && !after.has(node);
+    const change = (type, element, path, fields) =>
+      changes.push({ type, path, tagName: element.tagName, name: null, before: null, after: null, ...fields });
+
+    before.forEach((state, element) => {
+      if (after.has(element) || removed(state.parent)) return;
+      change('removed', element, state.path, { before: openTag(element, state, restore) });
+    });
+
+    after.forEach((state, element) => {
+      const previous = before.get(element);
+      if (!previous) {
+        if (!added(state.parent)) change('added', element, state.path, { after: openTag(element, state, restore) });
+        return;
+      }
+      if (state.parent !== previous.parent && !added(state.parent) && !removed(previous.parent)) {
+        change('moved', element, state.path, { before: previous.path, after: state.path });
+      }
+      const names = [...previous.attributes.keys(), ...[...state.attributes.keys()]
+        .filter((name) => !previous.attributes.has(name))];
+      names.forEach((name) => {
+        const from = previous.attributes.has(name) ? restore(previous.attributes.get(name)) : null;
+        const to = state.attributes.has(name) ? restore(state.attributes.get(name)) : null;
+        if (from !== to) change('attribute', element, state.path, { name, before: from, after: to });
+      });
+      if (state.text !== previous.text) {
+        change('text', element, state.path, { before: restore(previous.text), after: restore(state.text) });
+      }
+    });
+
+    return changes;
+  }
+
+  /**
+   * One-line summary of a change
+   * @param {Object} change - Entry from diffSnapshots
+   * @returns {string}
+   */
+  function describeChange(change) {
+    switch (change.type) {
+      case 'added':
+        return `${change.path}: added ${change.after}`;
+      case 'removed':
+        return `${change.path}: removed ${change.before}`;
+      case 'moved':
+        return `${change.path}: moved from ${change.before}`;
+      case 'text':
+        return `${change.path}: text "${change.before}" → "${change.after}"`;
+      default:
+        if (change.before === null) return `${change.path}: added ${change.name}="${change.after}"`;
+        if (change.after === null) return `${change.path}: removed ${change.name}="${change.before}"`;
+        return `${change.path}: ${change.name} "${change.before}" → "${change.after}"`;
+    }
+  }
+
+  return {
+    elementPath,
+    snapshot,
+    diffSnapshots,
+    describeChange,
+  };
+});
@@ -0,0 +1,145 @@
+/**
+ * Output modes
+ *
+ * ESP editors (Mailchimp, HubSpot) want only the table fragment, while
+ * sending through other ESPs or SMTP needs a complete document with the
+ * Outlook head boilerplate and body resets that keep clients from adding
+ * their own margins and text scaling.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./dom'));
+  } else {
+    root.CleanSend = root.CleanSend || {};
+    root.CleanSend.document = factory(root.CleanSend.dom);
+  }
+})(typeof self !== 'undefined' ? self : this, function (dom) {
+  'use strict';
+
+  const OUTPUT_MODES = ['fragment', 'document'];
+
+  const DEFAULT_TITLE = 'Email';
+  const DEFAULT_BACKGROUND = '#ffffff';
+
+  const BODY_STYLE = 'margin:0;padding:0;width:100%!important;min-width:100%;-webkit-text-size-adjust:100%;-ms-text-size-adjust:100%;';
+
+  const HEAD_STYLES = [
+    '#outlook a{padding:0;}',
+    'body{margin:0;padding:0;-webkit-text-size-adjust:100%;-ms-text-size-adjust:100%;}',
+    'table,td{border-collapse:collapse;mso-table-lspace:0pt;mso-table-rspace:0pt;}',
+    'img{border:0;height:auto;line-height:100%;outline:none;text-decoration:none;-ms-interpolation-mode:bicubic;}',
+    'a[x-apple-data-detectors]{color:inherit!important;text-decoration:none!important;font-size:inherit!important;font-family:inherit!important;font-weight:inherit!important;line-height:inherit!important;}',
+  ];
+
+  /**
+   * Split a parsed source into the content to keep and details of its
+   * original document wrapper
+   * @param {Fragment} tree - Parsed (and transformed) source
+   * @returns {{content: Fragment, title: ?string, backgroundColor: ?string,
+   *   styles: string[]}} - `styles` are the source's own `<style>` blocks
+   *   from outside the body (media queries, web fonts), serialized
+   */
+  function extractBody(tree) {
+    const titleElement = tree.getElementsByTagName('title')[0];
+    const title = titleElement ? titleElement.textContent.trim() || null : null;
+    const body = tree.getElementsByTagName('body')[0];
+    const content = new dom.Fragment();
+    const styles = tree.getElementsByTagName('style')
+      .filter((element) => element.closest('head') || (body && !element.closest('body')))
+      .map((element) => dom.serialize(element));
+
+    if (body) {
+      body.children.slice().forEach((child) => content.appendChild(child));
+    } else {
+      // No <body>: keep everything except any document-level wrappers
+      const keep = (node) => {
+        node.children.slice().forEach((child) => {
+          if (child.type === 'directive') return;
+          if (child.type === 'element' && child.tagName === 'head') return;
+          if (child.type === 'element' && child.tagName === 'html') {
+            keep(child);
+            return;
+          }
+          content.appendChild(child);
+        });
+      };
+      keep(tree);
+    }
+
+    return {
+      content,
+      title,
+      backgroundColor: body ? body.getAttribute('bgcolor') : null,
+      styles,
+    };
+  }
+
+  /**
+   * Wrap body markup in a complete, client-hardened HTML email document
+   * @param {string} bodyHtml - Serialized body content
+   * @param {Object} [options]
+   * @param {string} [options.title] - Document title
+   * @param {string} [options.backgroundColor] - Body background colour
+   * @param {string} [options.lang] - Document language
+   * @param {string[]} [options.styles] - Serialized `<style>` elements to add
+   *   after the reset styles, so they win over them
+   * @returns {string}
+   */
+  function wrapInEmailDocument(bodyHtml, { title, backgroundColor, lang = 'en', styles = [] } = {}) {
+    const background = dom.escapeAttribute(backgroundColor || DEFAULT_BACKGROUND);
+
+    return `<!DOCTYPE html>
+<html lang="${dom.escapeAttribute(lang)}" xmlns="http://www.w3.org/1999/xhtml" xmlns:v="urn:schemas-microsoft-com:vml" xmlns:o="urn:schemas-microsoft-com:office:office">
+<head>
+<meta http-equiv="Content-Type" content="text/html; charset=utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<meta http-equiv="X-UA-Compatible" content="IE=edge">
+<meta name="x-apple-disable-message-reformatting">
+<meta name="format-detection" content="telephone=no, date=no, address=no, email=no">
+<title>${dom.escapeText(title || DEFAULT_TITLE)}</title>
+<!--[if mso]>
+<noscript>
+<xml>
+<o:OfficeDocumentSettings>
+<o:AllowPNG/>
+<o:PixelsPerInch>96</o:PixelsPerInch>
+</o:OfficeDocumentSettings>
+</xml>
+</noscript>
+<![endif]-->
+<style type="text/css">
+${HEAD_STYLES.join('\n')}
+</style>
+${styles.map((block) => `${block}\n`).join('')}</head>
+<body style="${BODY_STYLE}background-color:${background};" bgcolor="${background}">
+${bodyHtml}
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Serialize a transformed tree in the requested output mode. The source's
+   * head styles go in the new head, or ahead of the table in a fragment
+   * (ESP editors keep a pasted `<style>` block), so no CSS is dropped.
+   * @param {Fragment} tree - Transformed tree
+   * @param {string} mode - 'fragment' (table only) or 'document'
+   * @returns {string}
+   */
+  function renderOutput(tree, mode) {
+    if (!OUTPUT_MODES.includes(mode)) {
+      throw new Error(`Unknown output mode "${mode}" (expected ${OUTPUT_MODES.join(' or ')})`);
+    }
+    const { content, title, backgroundColor, styles } = extractBody(tree);
+    const bodyHtml = dom.serialize(content).trim();
+    if (mode === 'fragment') return [...styles, bodyHtml].join('\n');
+    return wrapInEmailDocument(bodyHtml, { title, backgroundColor, styles });
+  }
+
+  return {
+    OUTPUT_MODES,
+    extractBody,
+    wrapInEmailDocument,
+    renderOutput,
+  };
+});
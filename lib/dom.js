@@ -0,0 +1,520 @@
+/**
+ * Minimal HTML parser and tree for email markup.
+ *
+ * The transform pipeline has to run both in the browser and under Node, so it
+ * cannot rely on `document`. This module parses Photoshop-style email HTML
+ * into a small tree with a DOM-like API and serializes it back. Comments
+ * (including MSO conditionals) and text are kept byte-for-byte; attribute
+ * values are decoded on parse and re-escaped on output.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.CleanSend = root.CleanSend || {};
+    root.CleanSend.dom = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const VOID_ELEMENTS = new Set([
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+    'link', 'meta', 'param', 'source', 'track', 'wbr',
+  ]);
+
+  const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title']);
+
+  // Opening one of these implicitly closes an open sibling of the listed tags
+  const IMPLICIT_CLOSE = {
+    td: ['td', 'th'],
+    th: ['td', 'th'],
+    tr: ['td', 'th', 'tr'],
+    tbody: ['td', 'th', 'tr', 'tbody', 'thead', 'tfoot'],
+    thead: ['td', 'th', 'tr', 'tbody', 'thead', 'tfoot'],
+    tfoot: ['td', 'th', 'tr', 'tbody', 'thead', 'tfoot'],
+    li: ['li'],
+    p: ['p'],
+    option: ['option'],
+  };
+
+  const NAMED_ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+    copy: '©', reg: '®', trade: '™', hellip: '…',
+    mdash: '—', ndash: '–', lsquo: '‘', rsquo: '’',
+    ldquo: '“', rdquo: '”', bull: '•', middot: '·',
+  };
+
+  const ATTRIBUTE_PATTERN = /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/y;
+
+  // ==========================================================================
+  // NODES
+  // ==========================================================================
+
+  class Node {
+    constructor(type) {
+      this.type = type;
+      this.parent = null;
+      // Index in the parsed source (null for nodes created in code), for line numbers
+      this.sourceOffset = null;
+    }
+
+    /**
+     * Detach this node from its parent
+     */
+    remove() {
+      if (this.parent) this.parent.removeChild(this);
+    }
+
+    /**
+     * Put another node in this node's place
+     * @param {Node} node - Replacement node
+     */
+    replaceWith(node) {
+      if (!this.parent) return;
+      this.parent.insertBefore(node, this);
+      this.remove();
+    }
+  }
+
+  class Text extends Node {
+    /**
+     * @param {string} value - Raw (still entity-encoded) text
+     */
+    constructor(value) {
+      super('text');
+      this.value = value;
+    }
+
+    get textContent() {
+      return decodeEntities(this.value);
+    }
+
+    cloneNode() {
+      return new Text(this.value);
+    }
+  }
+
+  class Comment extends Node {
+    /**
+     * @param {string} value - Everything between `<!--` and `-->`
+     */
+    constructor(value) {
+      super('comment');
+      this.value = value;
+    }
+
+    get textContent() {
+      return '';
+    }
+
+    cloneNode() {
+      return new Comment(this.value);
+    }
+  }
+
+  class Directive extends Node {
+    /**
+     * @param {string} value - Everything between `<` and `>`, e.g. `!DOCTYPE html`
+     */
+    constructor(value) {
+      super('directive');
+      this.value = value;
+    }
+
+    get textContent() {
+      return '';
+    }
+
+    cloneNode() {
+      return new Directive(this.value);
+    }
+  }
+
+  class ParentNode extends Node {
+    constructor(type) {
+      super(type);
+      this.children = [];
+    }
+
+    get elementChildren() {
+      return this.children.filter((child) => child.type === 'element');
+    }
+
+    get textContent() {
+      return this.children.map((child) => child.textContent).join('');
+    }
+
+    appendChild(node) {
+      node.remove();
+      node.parent = this;
+      this.children.push(node);
+      return node;
+    }
+
+    insertBefore(node, reference) {
+      if (!reference) return this.appendChild(node);
+      node.remove();
+      const index = this.children.indexOf(reference);
+      if (index === -1) throw new Error('Reference node is not a child of this node');
+      node.parent = this;
+      this.children.splice(index, 0, node);
+      return node;
+    }
+
+    removeChild(node) {
+      const index = this.children.indexOf(node);
+      if (index !== -1) this.children.splice(index, 1);
+      node.parent = null;
+      return node;
+    }
+
+    /**
+     * All descendant elements with the given tag name, in document order
+     * @param {string} tagName - Lowercase tag name, or '*' for every element
+     * @returns {Element[]}
+     */
+    getElementsByTagName(tagName) {
+      const found = [];
+      const visit = (node) => {
+        for (const child of node.children) {
+          if (child.type !== 'element') continue;
+          if (tagName === '*' || child.tagName === tagName) found.push(child);
+          visit(child);
+        }
+      };
+      visit(this);
+      return found;
+    }
+  }
+
+  class Element extends ParentNode {
+    /**
+     * @param {string} tagName - Tag name (stored lowercase)
+     * @param {Array<{name: string, value: ?string}>} [attributes] - Attributes in source order
+     */
+    constructor(tagName, attributes = []) {
+      super('element');
+      this.tagName = tagName.toLowerCase();
+      this.attributes = attributes;
+      // Written as `<v:fill ... />` in the source (VML and other XML markup)
+      this.selfClosing = false;
+    }
+
+    getAttribute(name) {
+      const attr = this.attributes.find((a) => a.name === name);
+      if (!attr) return null;
+      return attr.value === null ? '' : attr.value;
+    }
+
+    hasAttribute(name) {
+      return this.attributes.some((a) => a.name === name);
+    }
+
+    setAttribute(name, value) {
+      const attr = this.attributes.find((a) => a.name === name);
+      if (attr) {
+        attr.value = String(value);
+      } else {
+        this.attributes.push({ name, value: String(value) });
+      }
+    }
+
+    removeAttribute(name) {
+      this.attributes = this.attributes.filter((a) => a.name !== name);
+    }
+
+    /**
+     * Nearest ancestor (or self) with the given tag name
+     * @param {string} tagName - Lowercase tag name
+     * @returns {?Element}
+     */
+    closest(tagName) {
+      let node = this;
+      while (node && node.type === 'element') {
+        if (node.tagName === tagName) return node;
+        node = node.parent;
+      }
+      return null;
+    }
+
+    cloneNode(deep = false) {
+      const clone = new Element(
+        this.tagName,
+        this.attributes.map((a) => ({ name: a.name, value: a.value }))
+      );
+      if (deep) this.children.forEach((child) => clone.appendChild(child.cloneNode(true)));
+      return clone;
+    }
+  }
+
+  class Fragment extends ParentNode {
+    constructor() {
+      super('fragment');
+    }
+
+    cloneNode(deep = false) {
+      const clone = new Fragment();
+      if (deep) this.children.forEach((child) => clone.appendChild(child.cloneNode(true)));
+      return clone;
+    }
+  }
+
+  // ==========================================================================
+  // ENTITIES
+  // ==========================================================================
+
+  /**
+   * Decode character references in text or attribute values
+   * @param {string} value - Raw value
+   * @returns {string} - Decoded value (unknown named references are left as-is)
+   */
+  function decodeEntities(value) {
+    if (value.indexOf('&') === -1) return value;
+    return value.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z][a-z0-9]*);/gi, (match, ref) => {
+      if (ref[0] === '#') {
+        const code = ref[1] === 'x' || ref[1] === 'X'
+          ? parseInt(ref.slice(2), 16)
+          : parseInt(ref.slice(1), 10);
+        return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+      }
+      const named = NAMED_ENTITIES[ref.toLowerCase()];
+      return named === undefined ? match : named;
+    });
+  }
+
+  /**
+   * Escape ampersands, except those starting a named reference
+   * decodeEntities left as-is: those are still references ("&eacute;"),
+   * and escaping them would turn them into text
+   * @param {string} value - Decoded value
+   * @returns {string}
+   */
+  function escapeAmpersands(value) {
+    return String(value).replace(/&([a-z][a-z0-9]*;)?/gi, (match, ref) =>
+      (ref && NAMED_ENTITIES[ref.slice(0, -1).toLowerCase()] === undefined ? match : `&amp;${ref || ''}`));
+  }
+
+  /**
+   * Escape a string for use inside a double-quoted attribute
+   * @param {string} value - Decoded value
+   * @returns {string}
+   */
+  function escapeAttribute(value) {
+    return escapeAmpersands(value).replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Escape a string for use as text content
+   * @param {string} value - Plain text
+   * @returns {string}
+   */
+  function escapeText(value) {
+    return escapeAmpersands(value).replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  }
+
+  // ==========================================================================
+  // PARSER
+  // ==========================================================================
+
+  /**
+   * Parse the attribute section of a start tag
+   * @param {string} source - Full HTML source
+   * @param {number} index - Position just after the tag name
+   * @returns {{attributes: Array, end: number, selfClosing: boolean}}
+   */
+  function parseAttributes(source, index) {
+    const attributes = [];
+    let i = index;
+
+    while (i < source.length) {
+      const char = source[i];
+      if (char === '>') {
+        return { attributes, end: i + 1, selfClosing: false };
+      }
+      if (char === '/' && source[i + 1] === '>') {
+        return { attributes, end: i + 2, selfClosing: true };
+      }
+      if (/[\s\/]/.test(char)) {
+        i++;
+        continue;
+      }
+
+      ATTRIBUTE_PATTERN.lastIndex = i;
+      const match = ATTRIBUTE_PATTERN.exec(source);
+      if (!match) {
+        i++;
+        continue;
+      }
+      const name = match[1].toLowerCase();
+      const rawValue = match[2] !== undefined ? match[2]
+        : match[3] !== undefined ? match[3]
+          : match[4];
+      if (!attributes.some((a) => a.name === name)) {
+        attributes.push({ name, value: rawValue === undefined ? null : decodeEntities(rawValue) });
+      }
+      i = ATTRIBUTE_PATTERN.lastIndex;
+    }
+
+    return { attributes, end: source.length, selfClosing: false };
+  }
+
+  /**
+   * Parse an HTML string into a tree
+   * @param {string} source - HTML (fragment or full document)
+   * @returns {Fragment} - Root node holding the parsed content
+   */
+  function parse(source) {
+    const root = new Fragment();
+    const stack = [root];
+    const current = () => stack[stack.length - 1];
+    let i = 0;
+
+    const pushText = (value, offset) => {
+      if (!value) return;
+      const parent = current();
+      const last = parent.children[parent.children.length - 1];
+      if (last && last.type === 'text') {
+        last.value += value;
+      } else {
+        parent.appendChild(new Text(value)).sourceOffset = offset;
+      }
+    };
+
+    while (i < source.length) {
+      const lt = source.indexOf('<', i);
+      if (lt === -1) {
+        pushText(source.slice(i), i);
+        break;
+      }
+      if (lt > i) pushText(source.slice(i, lt), i);
+      i = lt;
+
+      // Comments (MSO conditionals included) are kept verbatim
+      if (source.startsWith('<!--', i)) {
+        const end = source.indexOf('-->', i + 4);
+        const stop = end === -1 ? source.length : end;
+        current().appendChild(new Comment(source.slice(i + 4, stop))).sourceOffset = i;
+        i = end === -1 ? source.length : end + 3;
+        continue;
+      }
+
+      // Doctype and other declarations
+      if (source[i + 1] === '!' || source[i + 1] === '?') {
+        const end = source.indexOf('>', i);
+        const stop = end === -1 ? source.length : end;
+        current().appendChild(new Directive(source.slice(i + 1, stop))).sourceOffset = i;
+        i = end === -1 ? source.length : end + 1;
+        continue;
+      }
+
+      // End tag
+      const endTag = /^<\/([a-zA-Z][^\s>\/]*)[^>]*>/.exec(source.slice(i, i + 256));
+      if (endTag) {
+        const tagName = endTag[1].toLowerCase();
+        for (let s = stack.length - 1; s > 0; s--) {
+          if (stack[s].tagName === tagName) {
+            stack.length = s;
+            break;
+          }
+        }
+        i += endTag[0].length;
+        continue;
+      }
+
+      // Start tag
+      const startTag = /^<([a-zA-Z][^\s>\/]*)/.exec(source.slice(i, i + 256));
+      if (!startTag) {
+        pushText('<', i);
+        i++;
+        continue;
+      }
+
+      const tagName = startTag[1].toLowerCase();
+      const closes = IMPLICIT_CLOSE[tagName];
+      if (closes) {
+        while (stack.length > 1 && closes.includes(current().tagName)) stack.pop();
+      }
+
+      const { attributes, end, selfClosing } = parseAttributes(source, i + startTag[0].length);
+      const element = new Element(tagName, attributes);
+      element.sourceOffset = i;
+      current().appendChild(element);
+      i = end;
+
+      if (VOID_ELEMENTS.has(tagName)) continue;
+      if (selfClosing) {
+        element.selfClosing = true;
+        continue;
+      }
+
+      if (RAW_TEXT_ELEMENTS.has(tagName)) {
+        const close = source.toLowerCase().indexOf(`</${tagName}`, i);
+        const stop = close === -1 ? source.length : close;
+        if (stop > i) element.appendChild(new Text(source.slice(i, stop))).sourceOffset = i;
+        i = stop;
+        continue;
+      }
+
+      stack.push(element);
+    }
+
+    return root;
+  }
+
+  // ==========================================================================
+  // SERIALIZER
+  // ==========================================================================
+
+  /**
+   * Serialize a node (or the children of a fragment) back to HTML
+   * @param {Node} node - Node to serialize
+   * @returns {string}
+   */
+  function serialize(node) {
+    switch (node.type) {
+      case 'fragment':
+        return node.children.map(serialize).join('');
+      case 'text':
+        return node.value;
+      case 'comment':
+        return `<!--${node.value}-->`;
+      case 'directive':
+        return `<${node.value}>`;
+      default:
+        break;
+    }
+
+    const attrs = node.attributes
+      .map((a) => (a.value === null ? ` ${a.name}` : ` ${a.name}="${escapeAttribute(a.value)}"`))
+      .join('');
+    if (node.selfClosing && !node.children.length) return `<${node.tagName}${attrs} />`;
+    const open = `<${node.tagName}${attrs}>`;
+    if (VOID_ELEMENTS.has(node.tagName)) return open;
+    return `${open}${node.children.map(serialize).join('')}</${node.tagName}>`;
+  }
+
+  /**
+   * Serialize only the children of a node (like `innerHTML`)
+   * @param {ParentNode} node - Parent node
+   * @returns {string}
+   */
+  function serializeChildren(node) {
+    return node.children.map(serialize).join('');
+  }
+
+  return {
+    Node,
+    Text,
+    Comment,
+    Directive,
+    Element,
+    Fragment,
+    VOID_ELEMENTS,
+    parse,
+    serialize,
+    serializeChildren,
+    decodeEntities,
+    escapeAttribute,
+    escapeText,
+  };
+});
@@ -0,0 +1,261 @@
+/**
+ * Output formatting
+ *
+ * `pretty` indents the table structure one element per line for code
+ * review; `minify` shrinks the markup without changing how any client
+ * renders it. Both only touch whitespace where HTML ignores it: cells that
+ * hold images, links or text are kept on one line as written. Comments
+ * that carry MSO conditionals, VML elements (`v:`, `o:`) and merge tags
+ * are passed through untouched.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./dom'), require('./style'));
+  } else {
+    root.CleanSend = root.CleanSend || {};
+    root.CleanSend.format = factory(root.CleanSend.dom, root.CleanSend.style);
+  }
+})(typeof self !== 'undefined' ? self : this, function (dom, style) {
+  'use strict';
+
+  const FORMATS = ['none', 'pretty', 'minify'];
+
+  const INDENT = '  ';
+
+  // Whitespace directly inside these is never rendered
+  const STRUCTURAL_ELEMENTS = new Set(['html', 'head', 'table', 'thead', 'tbody', 'tfoot', 'tr', 'colgroup']);
+
+  // Always start a new line box, so whitespace next to them is never rendered.
+  // div is left out: hybrid layouts use inline-block divs, where it is.
+  const BLOCK_ELEMENTS = new Set(['html', 'head', 'body', 'table', 'thead', 'tbody', 'tfoot', 'tr', 'td', 'th',
+    'colgroup', 'col', 'center', 'p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'li', 'hr', 'blockquote',
+    'meta', 'title', 'style', 'link', 'base']);
+
+  // Laid out one child per line by the pretty printer when they hold only block elements
+  const CONTAINER_ELEMENTS = new Set([...BLOCK_ELEMENTS, 'div']);
+
+  const PRESERVE_WHITESPACE = new Set(['pre', 'textarea', 'script', 'style', 'title']);
+
+  // Attributes that say nothing when they have this value
+  const REDUNDANT_ATTRIBUTES = {
+    style: '',
+    class: '',
+    id: '',
+    colspan: '1',
+    rowspan: '1',
+  };
+
+  /**
+   * Whether an element is VML or Office markup (`v:rect`, `o:p`)
+   * @param {Node} node - Node
+   * @returns {boolean}
+   */
+  function isNamespaced(node) {
+    return node.type === 'element' && node.tagName.includes(':');
+  }
+
+  /**
+   * Whether a node sits inside preformatted or namespaced markup
+   * @param {Node} node - Node
+   * @returns {boolean}
+   */
+  function isVerbatim(node) {
+    for (let parent = node.parent; parent && parent.type === 'element'; parent = parent.parent) {
+      if (PRESERVE_WHITESPACE.has(parent.tagName) || isNamespaced(parent)) return true;
+    }
+    return isNamespaced(node);
+  }
+
+  /**
+   * Whether a node is a text node holding only whitespace
+   * @param {Node} node - Node
+   * @returns {boolean}
+   */
+  function isBlankText(node) {
+    return node.type === 'text' && !node.value.trim();
+  }
+
+  /**
+   * Opening tag of an element
+   * @param {Element} element - Element
+   * @returns {string}
+   */
+  function startTag(element) {
+    const attrs = element.attributes
+      .map((a) => (a.value === null ? ` ${a.name}` : ` ${a.name}="${dom.escapeAttribute(a.value)}"`))
+      .join('');
+    return `<${element.tagName}${attrs}>`;
+  }
+
+  /**
+   * Whether an element always sits on its own line, so whitespace next to
+   * it is never rendered (block elements, and images made display:block)
+   * @param {?Node} node - Node
+   * @returns {boolean}
+   */
+  function isBlockLevel(node) {
+    if (!node || node.type !== 'element') return false;
+    if (BLOCK_ELEMENTS.has(node.tagName)) return true;
+    return /^block\b/i.test(style.parseStyle(node.getAttribute('style')).get('display') || '');
+  }
+
+  /**
+   * Drop whitespace no client renders and collapse the rest to single spaces
+   * @param {Node} parent - Tree or element to clean up
+   */
+  function collapseWhitespace(parent) {
+    parent.children.slice().forEach((node, index, siblings) => {
+      if (node.type === 'element' && !isVerbatim(node)) collapseWhitespace(node);
+      if (node.type !== 'text' || isVerbatim(node)) return;
+      if (isBlankText(node)) {
+        // At the start or end of a block container, or next to a block, it's at a line edge
+        const edge = (sibling) => (sibling ? isBlockLevel(sibling)
+          : parent.type !== 'element' || isBlockLevel(parent) || parent.tagName === 'div');
+        const structural = parent.type === 'element' && STRUCTURAL_ELEMENTS.has(parent.tagName);
+        if (structural || edge(siblings[index - 1]) || edge(siblings[index + 1])) {
+          node.remove();
+          return;
+        }
+      }
+      node.value = node.value.replace(/\s+/g, ' ');
+    });
+  }
+
+  // ==========================================================================
+  // PRETTY
+  // ==========================================================================
+
+  /**
+   * Whether the pretty printer may put each child of an element on its own line
+   * @param {Element} element - Element
+   * @returns {boolean}
+   */
+  function isLaidOut(element) {
+    if (!CONTAINER_ELEMENTS.has(element.tagName) || PRESERVE_WHITESPACE.has(element.tagName)) return false;
+    return element.children.length > 0 && element.children.every((child) => child.type === 'comment' ||
+      (child.type === 'element' && BLOCK_ELEMENTS.has(child.tagName)));
+  }
+
+  /**
+   * Indent the structure of an email, one block element per line; cells
+   * holding images, links or text stay on one line
+   * @param {string} html - Email HTML
+   * @returns {string}
+   */
+  function prettyPrint(html) {
+    const tree = dom.parse(html);
+    collapseWhitespace(tree);
+
+    const lines = [];
+    const write = (node, depth) => {
+      const indent = INDENT.repeat(depth);
+      if (node.type === 'text') {
+        lines.push(indent + node.value.trim());
+      } else if (node.type === 'element' && isLaidOut(node)) {
+        lines.push(indent + startTag(node));
+        node.children.forEach((child) => write(child, depth + 1));
+        lines.push(`${indent}</${node.tagName}>`);
+      } else {
+        lines.push(indent + dom.serialize(node));
+      }
+    };
+    tree.children.forEach((child) => write(child, 0));
+    return `${lines.join('\n')}\n`;
+  }
+
+  // ==========================================================================
+  // MINIFY
+  // ==========================================================================
+
+  /**
+   * Whether a comment must be kept: MSO conditionals and their
+   * downlevel-revealed halves (`<!--[if !mso]><!-->`, `<!--<![endif]-->`)
+   * @param {Comment} comment - Comment node
+   * @returns {boolean}
+   */
+  function isConditionalComment(comment) {
+    return /^\s*\[if\b|^\s*<!\[endif\]/i.test(comment.value);
+  }
+
+  /**
+   * Shorten a style attribute: one declaration per property, no spaces,
+   * no trailing semicolon, 0 instead of 0px (mso- properties left as written)
+   * @param {string} value - Style attribute value
+   * @returns {string}
+   */
+  function minifyStyle(value) {
+    const parts = [];
+    style.parseStyle(value).forEach((propertyValue, property) => {
+      let compact = propertyValue.replace(/\s+/g, ' ').replace(/\s*!\s*important$/i, '!important');
+      if (!property.startsWith('mso-')) compact = compact.replace(/(^|[\s,(])0(px|pt|em|rem)(?=$|[\s,)!])/g, '$10');
+      parts.push(`${property}:${compact}`);
+    });
+    return parts.join(';');
+  }
+
+  /**
+   * Shorten a style sheet: no comments, no whitespace around braces and
+   * semicolons
+   * @param {string} css - Style sheet text
+   * @returns {string}
+   */
+  function minifyStyleSheet(css) {
+    return css
+      .replace(/\/\*[\s\S]*?\*\//g, '')
+      .replace(/\s+/g, ' ')
+      .replace(/\s*([{};])\s*/g, '$1')
+      .replace(/;}/g, '}')
+      .trim();
+  }
+
+  /**
+   * Shrink email HTML without changing how it renders: plain comments,
+   * unrendered whitespace and redundant attributes go, styles are shortened
+   * @param {string} html - Email HTML
+   * @returns {string}
+   */
+  function minify(html) {
+    const tree = dom.parse(html);
+
+    const compact = (parent) => {
+      parent.children.slice().forEach((node) => {
+        if (node.type === 'comment' && !isConditionalComment(node)) node.remove();
+        if (node.type === 'text' && parent.type === 'element' && parent.tagName === 'style') {
+          node.value = minifyStyleSheet(node.value);
+        }
+        if (node.type !== 'element' || isVerbatim(node)) return;
+        node.attributes.slice().forEach(({ name, value }) => {
+          if (name === 'style' && value) node.setAttribute('style', minifyStyle(value));
+          if (REDUNDANT_ATTRIBUTES[name] === (node.getAttribute(name) || '').trim()) node.removeAttribute(name);
+        });
+        compact(node);
+      });
+    };
+    compact(tree);
+    collapseWhitespace(tree);
+
+    return dom.serialize(tree).trim();
+  }
+
+  /**
+   * Format email HTML
+   * @param {string} html - Email HTML
+   * @param {string} format - 'none', 'pretty' or 'minify'
+   * @returns {string}
+   */
+  function formatHtml(html, format) {
+    if (!FORMATS.includes(format)) {
+      throw new Error(`Unknown format "${format}" (expected ${FORMATS.join(', ')})`);
+    }
+    if (format === 'pretty') return prettyPrint(html);
+    if (format === 'minify') return minify(html);
+    return html;
+  }
+
+  return {
+    FORMATS,
+    prettyPrint,
+    minify,
+    formatHtml,
+  };
+});
@@ -0,0 +1,217 @@
+/**
+ * Slice hotspots
+ *
+ * Clickable areas drawn on a slice after export, so part of an image can be
+ * linked without going back to Photoshop. The slice is cut into bands at
+ * each hotspot's top and bottom edge, and bands are cut into pieces at the
+ * edges of the hotspots they cross; the transform replaces the slice with
+ * a table of those pieces (see the `hotspots` option of runPipeline) and
+ * cropSlices makes the matching image files.
+ *
+ * Hotspots are given as fractions of the slice (0-1), so the same drawing
+ * applies to the width/height written in the HTML and to the image file's
+ * own pixels (@2x exports, resized slices).
+ *
+ * Cropping draws each piece on a canvas, so it needs a browser: under Node
+ * pass a `cropper` or upload the pieces yourself.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./assets'));
+  } else {
+    root.CleanSend = root.CleanSend || {};
+    root.CleanSend.hotspots = factory(root.CleanSend.assets);
+  }
+})(typeof self !== 'undefined' ? self : this, function (imageAssets) {
+  'use strict';
+
+  const DEFAULT_CROP_OPTIONS = {
+    // JPEG quality used when encoding pieces (0-1)
+    quality: 0.8,
+    // (file, hotspots, quality) => Promise<Array<{data: Uint8Array, type: string}>>,
+    // one file per sliceGrid piece in reading order; defaults to canvasCropper
+    cropper: null,
+  };
+
+  /**
+   * Check a `hotspots` option before any slice is cut
+   * @param {*} entries - Slice src -> hotspots, as given
+   * @throws {Error} - Naming the slice and hotspot that are not a list of
+   *   {x, y, width, height} objects with numeric fractions
+   */
+  function validateHotspots(entries) {
+    if (entries === undefined || entries === null) return;
+    if (typeof entries !== 'object' || Array.isArray(entries)) {
+      throw new Error('hotspots must be an object of slice src -> hotspot list');
+    }
+    Object.entries(entries).forEach(([src, hotspots]) => {
+      if (!Array.isArray(hotspots)) throw new Error(`Hotspots for "${src}" must be a list`);
+      hotspots.forEach((hotspot, index) => {
+        const valid = hotspot && typeof hotspot === 'object' &&
+          ['x', 'y', 'width', 'height'].every((key) => Number.isFinite(hotspot[key]));
+        if (!valid) throw new Error(`Hotspot ${index + 1} for "${src}" needs numeric x, y, width and height`);
+      });
+    });
+  }
+
+  /**
+   * Hotspot edges as fractions of the slice, clamped to it
+   * @param {{x: number, y: number, width: number, height: number}} hotspot - Fractions of the slice
+   * @returns {{left: number, top: number, right: number, bottom: number}}
+   */
+  function toEdges(hotspot) {
+    const clamp = (value) => Math.min(1, Math.max(0, value));
+    const x = Number(hotspot.x) || 0;
+    const y = Number(hotspot.y) || 0;
+    return {
+      left: clamp(x),
+      top: clamp(y),
+      right: clamp(x + (Number(hotspot.width) || 0)),
+      bottom: clamp(y + (Number(hotspot.height) || 0)),
+    };
+  }
+
+  /**
+   * Pixel positions of sorted fractional cuts (0 first, 1 last). Each cut is
+   * rounded but kept at least a pixel past the one before, so no piece comes
+   * to nothing and the grid is the same at every size of the slice.
+   * @param {Array<number>} cuts - Fractions, strictly increasing
+   * @param {number} size - Slice width or height in pixels
+   * @returns {Map<number, number>} - Fraction -> pixel
+   */
+  function toPixels(cuts, size) {
+    const last = cuts.length - 1;
+    if (size < last) throw new Error(`Slice is too small for its hotspots (${size}px for ${last} pieces)`);
+    const pixels = new Map();
+    cuts.reduce((previous, cut, i) => {
+      const pixel = i === 0 ? 0 : Math.min(size - (last - i), Math.max(previous + 1, Math.round(cut * size)));
+      pixels.set(cut, pixel);
+      return pixel;
+    }, 0);
+    return pixels;
+  }
+
+  /**
+   * Cut a slice into bands and pieces around its hotspots. The cuts are
+   * worked out on the fractions and only then turned into pixels, so the
+   * HTML (at the slice's width/height) and the cropped files (at the
+   * image's own size, e.g. @2x) always have the same pieces. Hotspots with
+   * no area are ignored; overlapping ones throw.
+   * @param {number} width - Slice width in pixels
+   * @param {number} height - Slice height in pixels
+   * @param {Array<{x: number, y: number, width: number, height: number}>} hotspots -
+   *   Fractions of the slice
+   * @returns {Array<{y: number, height: number, pieces: Array<{x: number,
+   *   width: number, hotspot: ?number}>}>} - Bands top to bottom; `hotspot`
+   *   is the index of the hotspot a piece belongs to, or null
+   */
+  function sliceGrid(width, height, hotspots) {
+    const rects = hotspots.map((hotspot, index) => ({ index, ...toEdges(hotspot) }))
+      .filter((rect) => rect.right > rect.left && rect.bottom > rect.top);
+    rects.forEach((rect, i) => rects.slice(i + 1).forEach((other) => {
+      if (rect.left < other.right && other.left < rect.right && rect.top < other.bottom && other.top < rect.bottom) {
+        throw new Error(`Hotspots ${rect.index + 1} and ${other.index + 1} overlap`);
+      }
+    }));
+
+    const cuts = (values) => [...new Set([0, 1, ...values])].sort((a, b) => a - b);
+    const ys = cuts(rects.flatMap((rect) => [rect.top, rect.bottom]));
+    // One column position per edge across all bands keeps the pieces lined up
+    const yPixels = toPixels(ys, height);
+    const xPixels = toPixels(cuts(rects.flatMap((rect) => [rect.left, rect.right])), width);
+    return ys.slice(0, -1).map((top, i) => {
+      const bottom = ys[i + 1];
+      // Every edge is a cut, so a hotspot covers a band entirely or not at all
+      const crossing = rects.filter((rect) => rect.top < bottom && rect.bottom > top);
+      const xs = cuts(crossing.flatMap((rect) => [rect.left, rect.right]));
+      const pieces = xs.slice(0, -1).map((left, j) => {
+        const rect = crossing.find((candidate) => candidate.left <= left && candidate.right >= xs[j + 1]);
+        return { x: xPixels.get(left), width: xPixels.get(xs[j + 1]) - xPixels.get(left), hotspot: rect ? rect.index : null };
+      });
+      return { y: yPixels.get(top), height: yPixels.get(bottom) - yPixels.get(top), pieces };
+    });
+  }
+
+  /**
+   * Path of a piece of a slice: the slice's path with the piece number
+   * before the extension ("images/index_2_03.jpg" -> "images/index_2_03-2.jpg")
+   * @param {string} path - Slice src or file path
+   * @param {number} index - 0-based piece index, in reading order
+   * @returns {string}
+   */
+  function piecePath(path, index) {
+    const [file, suffix = ''] = path.split(/(?=[?#])/);
+    const match = file.match(/^(.*?)(\.[a-z0-9]+)?$/i);
+    return `${match[1]}-${index + 1}${match[2] || ''}${suffix}`;
+  }
+
+  /**
+   * Crop an image's sliceGrid pieces on a canvas, in its own type (PNG for GIFs)
+   * @param {{data: Uint8Array, type: string}} file - Slice image
+   * @param {Array<Object>} hotspots - Fractions of the slice
+   * @param {number} quality - JPEG quality (0-1)
+   * @returns {Promise<Array<{data: Uint8Array, type: string}>>}
+   */
+  async function canvasCropper(file, hotspots, quality) {
+    const bitmap = await createImageBitmap(new Blob([file.data], { type: file.type }));
+    const type = file.type === 'image/jpeg' ? 'image/jpeg' : 'image/png';
+    const pieces = sliceGrid(bitmap.width, bitmap.height, hotspots)
+      .flatMap((band) => band.pieces.map((piece) => ({ ...piece, y: band.y, height: band.height })));
+    const cropped = [];
+    for (const piece of pieces) {
+      const canvas = typeof OffscreenCanvas === 'function'
+        ? new OffscreenCanvas(piece.width, piece.height)
+        : Object.assign(document.createElement('canvas'), { width: piece.width, height: piece.height });
+      canvas.getContext('2d').drawImage(bitmap, piece.x, piece.y, piece.width, piece.height,
+        0, 0, piece.width, piece.height);
+      const blob = await (canvas.convertToBlob
+        ? canvas.convertToBlob({ type, quality })
+        : new Promise((resolve) => canvas.toBlob(resolve, type, quality)));
+      cropped.push({ data: new Uint8Array(await blob.arrayBuffer()), type: blob.type });
+    }
+    bitmap.close();
+    return cropped;
+  }
+
+  /**
+   * Crop the pieces of every slice with hotspots from the dropped slice
+   * images, named so the pieces' srcs match them (see piecePath)
+   * @param {Array<{path: string, data: Uint8Array, type: string}>} assets -
+   *   Slice images (see assets.optimizeImages)
+   * @param {Object<string, Array<Object>>} hotspots - Slice src -> hotspots
+   * @param {Object} [options] - See DEFAULT_CROP_OPTIONS
+   * @returns {Promise<Array<{path: string, data: Uint8Array, type: string,
+   *   originalType: string, originalBytes: number, optimized: boolean}>>} -
+   *   Empty when there is no cropper (as under Node) or no matching image
+   */
+  async function cropSlices(assets, hotspots, options = {}) {
+    validateHotspots(hotspots);
+    const { quality, cropper } = { ...DEFAULT_CROP_OPTIONS, ...options };
+    const crop = cropper || (typeof createImageBitmap === 'function' ? canvasCropper : null);
+    const pieces = [];
+    if (!crop) return pieces;
+    for (const [src, spots] of Object.entries(hotspots || {})) {
+      const asset = spots.length ? imageAssets.matchAsset(src, assets) : null;
+      if (!asset) continue;
+      const files = await crop(asset, spots, quality);
+      files.forEach((file, index) => pieces.push({
+        path: piecePath(asset.path, index),
+        data: file.data,
+        type: file.type,
+        originalType: file.type,
+        originalBytes: file.data.length,
+        optimized: true,
+      }));
+    }
+    return pieces;
+  }
+
+  return {
+    DEFAULT_CROP_OPTIONS,
+    validateHotspots,
+    sliceGrid,
+    piecePath,
+    canvasCropper,
+    cropSlices,
+  };
+});
@@ -0,0 +1,174 @@
+/**
+ * Link checker
+ *
+ * Requests every web link in the finished email, follows redirects one hop
+ * at a time and reports the status, redirect chain and final destination.
+ * The fetcher is injectable (anything shaped like `fetch`), so checks can
+ * run against a local mock server or a proxy in air-gapped environments.
+ *
+ * In a browser most sites hide their responses from cross-origin requests.
+ * Those links are reported as unverifiable rather than broken; give a
+ * `proxy` to check them from the page.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./links'));
+  } else {
+    root.CleanSend = root.CleanSend || {};
+    root.CleanSend.linkCheck = factory(root.CleanSend.links);
+  }
+})(typeof self !== 'undefined' ? self : this, function (linkRules) {
+  'use strict';
+
+  const DEFAULT_CHECK_OPTIONS = {
+    // (url, init) => Promise<{status, headers: {get(name)}}>; defaults to fetch
+    fetcher: null,
+    // Prefix each request URL is appended to, encoded, e.g.
+    // 'https://proxy.example.com/?url='; the proxy must pass the status and
+    // Location header through without following redirects
+    proxy: '',
+    maxRedirects: 10,
+    // Per request, in milliseconds
+    timeout: 10000,
+    concurrency: 4,
+  };
+
+  // Servers that reject HEAD are asked again with GET
+  const HEAD_UNSUPPORTED = [403, 405, 501];
+
+  /**
+   * Request a URL once without following redirects
+   * @param {Function} fetcher - fetch-compatible function
+   * @param {string} url - URL to request
+   * @param {number} timeout - Milliseconds before the request is aborted
+   * @returns {Promise<{status: number, location: ?string}>}
+   */
+  async function requestOnce(fetcher, url, timeout) {
+    const send = async (method) => {
+      const controller = typeof AbortController === 'function' ? new AbortController() : null;
+      const timer = controller ? setTimeout(() => controller.abort(), timeout) : null;
+      try {
+        const response = await fetcher(url, {
+          method,
+          redirect: 'manual',
+          signal: controller ? controller.signal : undefined,
+        });
+        if (response.body && typeof response.body.cancel === 'function') {
+          // Only the status line and headers matter
+          response.body.cancel().catch(() => {});
+        }
+        return response;
+      } catch (error) {
+        if (controller && controller.signal.aborted) throw new Error(`timed out after ${timeout}ms`);
+        throw error;
+      } finally {
+        if (timer) clearTimeout(timer);
+      }
+    };
+
+    let response = await send('HEAD');
+    if (HEAD_UNSUPPORTED.includes(response.status)) response = await send('GET');
+    const location = response.headers && typeof response.headers.get === 'function'
+      ? response.headers.get('location')
+      : null;
+    return { status: response.status, location };
+  }
+
+  /**
+   * UTM parameters on the original href that the final URL no longer carries
+   * @param {string} original - Href as written in the email
+   * @param {string} final - Final destination
+   * @returns {string[]} - Parameter names
+   */
+  function strippedUtmParameters(original, final) {
+    const before = linkRules.utmParameters(original);
+    const after = linkRules.utmParameters(final);
+    return Object.keys(before).filter((name) => after[name] !== before[name]);
+  }
+
+  /**
+   * Check one link, following redirects manually
+   * @param {string} href - Absolute http(s) URL
+   * @param {Object} [options] - See DEFAULT_CHECK_OPTIONS
+   * @returns {Promise<{href: string, status: ?number, ok: boolean,
+   *   unverifiable: boolean, chain: Array<{url: string, status: number}>,
+   *   finalUrl: ?string, utmStripped: string[], error: ?string}>} -
+   *   `unverifiable` when the browser hid the response (status 0), which
+   *   says nothing about the link itself
+   */
+  async function checkLink(href, options = {}) {
+    const { fetcher, proxy, maxRedirects, timeout } = { ...DEFAULT_CHECK_OPTIONS, ...options };
+    const fetchFn = fetcher || (typeof fetch === 'function' ? fetch : null);
+    const result = {
+      href, status: null, ok: false, unverifiable: false, chain: [], finalUrl: null, utmStripped: [], error: null,
+    };
+    if (!fetchFn) {
+      result.error = 'no fetcher available';
+      return result;
+    }
+
+    let url = href;
+    const visited = new Set();
+    try {
+      for (;;) {
+        const { status, location } = await requestOnce(fetchFn, proxy ? proxy + encodeURIComponent(url) : url, timeout);
+        result.chain.push({ url, status });
+        result.status = status;
+
+        if (status >= 300 && status < 400 && location) {
+          if (result.chain.length > maxRedirects) throw new Error(`more than ${maxRedirects} redirects`);
+          visited.add(url);
+          url = new URL(location, url).toString();
+          if (visited.has(url)) throw new Error(`redirect loop at ${url}`);
+          continue;
+        }
+        if (status === 0) {
+          // Browsers hide cross-origin responses and redirects behind opaque ones
+          result.unverifiable = true;
+          result.error = 'response hidden by the browser (cross-origin); check it through a proxy or from the command line';
+          return result;
+        }
+        break;
+      }
+      result.finalUrl = url;
+      result.ok = result.status >= 200 && result.status < 300;
+      if (result.chain.length > 1) result.utmStripped = strippedUtmParameters(href, url);
+    } catch (error) {
+      result.error = error.message || String(error);
+    }
+    return result;
+  }
+
+  /**
+   * Check every distinct web link of a pipeline run
+   * @param {Array<{href: string}>|string[]} links - `links` from runPipeline,
+   *   or plain hrefs
+   * @param {Object} [options] - See DEFAULT_CHECK_OPTIONS
+   * @returns {Promise<Array<Object>>} - checkLink results, in link order
+   */
+  async function checkLinks(links, options = {}) {
+    const { concurrency } = { ...DEFAULT_CHECK_OPTIONS, ...options };
+    const hrefs = [];
+    links.forEach((link) => {
+      const href = typeof link === 'string' ? link : link.href;
+      if (/^https?:\/\//i.test(href || '') && !hrefs.includes(href)) hrefs.push(href);
+    });
+
+    const results = new Array(hrefs.length);
+    let next = 0;
+    const worker = async () => {
+      while (next < hrefs.length) {
+        const index = next++;
+        results[index] = await checkLink(hrefs[index], options);
+      }
+    };
+    await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, hrefs.length)) }, worker));
+    return results;
+  }
+
+  return {
+    DEFAULT_CHECK_OPTIONS,
+    checkLink,
+    checkLinks,
+  };
+});
@@ -0,0 +1,94 @@
+/**
+ * Link validation
+ *
+ * Flags hrefs that will break or leak in the inbox (malformed, plain
+ * http://, empty) and slices that look like calls to action but have no
+ * link around them.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.CleanSend = root.CleanSend || {};
+    root.CleanSend.links = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  // Schemes that never get UTM parameters
+  const UNTRACKED_HREF = /^(mailto:|tel:|sms:|#|javascript:)/i;
+
+  // Words in a slice's file name or alt text that suggest it should be clickable
+  const CALL_TO_ACTION = /(^|[^a-z])(button|btn|cta|shop|buy|order|book|register|rsvp|learn|download|signup|sign[-_ ]?up|subscribe|join|apply|call|contact|visit)([^a-z]|$)/i;
+
+  /**
+   * Whether UTM parameters apply to an href (web links only)
+   * @param {?string} href - Link href
+   * @returns {boolean}
+   */
+  function isTrackable(href) {
+    return !!href && !!href.trim() && !UNTRACKED_HREF.test(href.trim());
+  }
+
+  /**
+   * Problems with an href
+   * @param {?string} href - Link href
+   * @returns {string[]} - Any of 'empty', 'malformed', 'insecure'
+   */
+  function validateHref(href) {
+    const value = (href || '').trim();
+    if (!value || value === '#') return ['empty'];
+
+    if (/^mailto:/i.test(value)) return /^mailto:[^@\s]+@[^@\s]+\.[^@\s]+/i.test(value) ? [] : ['malformed'];
+    if (/^(tel|sms):/i.test(value)) return /^(tel|sms):\+?[\d\s().-]{3,}$/i.test(value) ? [] : ['malformed'];
+    if (/^(#|javascript:)/i.test(value)) return [];
+
+    // Bare domains ("www.example.com") would resolve against the ESP's page
+    if (/\s/.test(value) || /^www\./i.test(value) || /^https?:\/?[^/]/i.test(value) || /^https?:\/\/$/i.test(value)) {
+      return ['malformed'];
+    }
+    if (/^https?:\/\//i.test(value)) {
+      try {
+        const url = new URL(value);
+        // URL punycodes internationalized names, so their TLDs read "xn--..."
+        if (!/\.([a-z]{2,}|xn--[a-z0-9-]+)$|^localhost$|^[\d.]+$/i.test(url.hostname)) return ['malformed'];
+      } catch {
+        return ['malformed'];
+      }
+      return /^http:/i.test(value) ? ['insecure'] : [];
+    }
+    return [];
+  }
+
+  /**
+   * The utm_* parameters on an href
+   * @param {string} href - Link href
+   * @returns {Object<string, string>}
+   */
+  function utmParameters(href) {
+    try {
+      const url = new URL(href, 'https://example.com');
+      return Object.fromEntries(Array.from(url.searchParams).filter(([name]) => /^utm_/i.test(name)));
+    } catch {
+      return {};
+    }
+  }
+
+  /**
+   * Whether an unlinked slice looks like a call to action
+   * @param {string} src - Image src
+   * @param {string} alt - Image alt text
+   * @returns {boolean}
+   */
+  function looksClickable(src, alt) {
+    const file = (src || '').split(/[?#]/)[0].split('/').pop().replace(/\.[a-z0-9]+$/i, '');
+    return CALL_TO_ACTION.test(file) || CALL_TO_ACTION.test(alt || '');
+  }
+
+  return {
+    isTrackable,
+    validateHref,
+    utmParameters,
+    looksClickable,
+  };
+});
@@ -0,0 +1,151 @@
+/**
+ * Email client compatibility linter
+ *
+ * Checks finished email HTML against the bundled support data
+ * (compat-data.js): inline styles, `<style>` sheets, attributes and
+ * elements. Content of MSO conditional comments is Outlook-only markup and
+ * is not checked.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./dom'), require('./style'), require('./compat-data'));
+  } else {
+    root.CleanSend = root.CleanSend || {};
+    root.CleanSend.lint = factory(root.CleanSend.dom, root.CleanSend.style, root.CleanSend.compatData);
+  }
+})(typeof self !== 'undefined' ? self : this, function (dom, style, compatData) {
+  'use strict';
+
+  const { CLIENTS, FEATURES } = compatData;
+
+  /**
+   * Line lookup for a source string
+   * @param {string} source - Linted HTML
+   * @returns {function(?number): ?number} - Offset -> 1-based line
+   */
+  function lineCounter(source) {
+    const starts = [0];
+    for (let i = source.indexOf('\n'); i !== -1; i = source.indexOf('\n', i + 1)) starts.push(i + 1);
+    return (offset) => {
+      if (offset === null || offset === undefined) return null;
+      let low = 0;
+      let high = starts.length - 1;
+      while (low < high) {
+        const mid = (low + high + 1) >> 1;
+        if (starts[mid] <= offset) low = mid;
+        else high = mid - 1;
+      }
+      return low + 1;
+    };
+  }
+
+  /**
+   * Features a CSS declaration uses
+   * @param {string} property - Lowercase property
+   * @param {string} value - Declaration value
+   * @returns {Feature[]}
+   */
+  function declarationFeatures(property, value) {
+    return FEATURES.filter((feature) => {
+      if (feature.type === 'property') return feature.name === property;
+      if (feature.type === 'value') {
+        return (feature.name === '*' || feature.name === property) && feature.match.test(value);
+      }
+      return false;
+    });
+  }
+
+  /**
+   * Declarations and at-rules of a style sheet, with their offsets
+   * @param {string} css - Style sheet text
+   * @returns {{declarations: Array<{property: string, value: string, offset: number}>,
+   *   atRules: Array<{name: string, offset: number}>}}
+   */
+  function scanStyleSheet(css) {
+    const text = css.replace(/\/\*[\s\S]*?\*\//g, (comment) => comment.replace(/[^\n]/g, ' '));
+    const atRules = [];
+    const declarations = [];
+    let match;
+    const atRule = /@([a-z-]+)/gi;
+    while ((match = atRule.exec(text))) atRules.push({ name: match[1].toLowerCase(), offset: match.index });
+    // Declarations only occur inside a block, after `{` or `;`
+    const declaration = /[{;]\s*([a-z-]+)\s*:\s*([^;{}]+)/gi;
+    while ((match = declaration.exec(text))) {
+      declarations.push({
+        property: match[1].toLowerCase(),
+        value: match[2].trim(),
+        offset: match.index + match[0].indexOf(match[1]),
+      });
+    }
+    return { declarations, atRules };
+  }
+
+  /**
+   * Lint email HTML for client support
+   * @param {string} html - Email HTML (fragment or document)
+   * @returns {{errors: Array<Object>, warnings: Array<Object>}} - One entry
+   *   per feature used: `{id, label, level, note, unsupported, partial,
+   *   lines}`, clients as CLIENTS labels, ordered by first line
+   */
+  function lintHtml(html) {
+    const lineAt = lineCounter(html);
+    const found = new Map();
+    const record = (feature, offset) => {
+      const entry = found.get(feature.id) || { feature, lines: [] };
+      const line = lineAt(offset);
+      if (line !== null && !entry.lines.includes(line)) entry.lines.push(line);
+      found.set(feature.id, entry);
+    };
+
+    dom.parse(html).getElementsByTagName('*').forEach((element) => {
+      FEATURES.forEach((feature) => {
+        if (feature.type === 'element' && feature.name === element.tagName) record(feature, element.sourceOffset);
+        if (feature.type === 'attribute' && element.hasAttribute(feature.name)) record(feature, element.sourceOffset);
+      });
+
+      if (element.hasAttribute('style')) {
+        const declarations = style.parseStyle(element.getAttribute('style'));
+        declarations.forEach((value, property) => {
+          declarationFeatures(property, value).forEach((feature) => {
+            const covered = feature.fallback && declarations.get(feature.fallback.property) === feature.fallback.value;
+            if (!covered) record(feature, element.sourceOffset);
+          });
+        });
+      }
+
+      if (element.tagName === 'style') {
+        element.children.filter((child) => child.type === 'text').forEach((text) => {
+          const base = text.sourceOffset === null ? element.sourceOffset : text.sourceOffset;
+          const { declarations, atRules } = scanStyleSheet(text.value);
+          atRules.forEach(({ name, offset }) => {
+            FEATURES.filter((feature) => feature.type === 'at-rule' && feature.name === name)
+              .forEach((feature) => record(feature, base + offset));
+          });
+          declarations.forEach(({ property, value, offset }) => {
+            declarationFeatures(property, value).forEach((feature) => record(feature, base + offset));
+          });
+        });
+      }
+    });
+
+    const results = [...found.values()]
+      .map(({ feature, lines }) => ({
+        id: feature.id,
+        label: feature.label,
+        level: feature.level,
+        note: feature.note,
+        unsupported: feature.unsupported.map((client) => CLIENTS[client]),
+        partial: feature.partial.map((client) => CLIENTS[client]),
+        lines: lines.sort((a, b) => a - b),
+      }))
+      .sort((a, b) => (a.lines[0] || 0) - (b.lines[0] || 0));
+    return {
+      errors: results.filter((result) => result.level === 'error'),
+      warnings: results.filter((result) => result.level === 'warning'),
+    };
+  }
+
+  return {
+    lintHtml,
+  };
+});
@@ -0,0 +1,141 @@
+/**
+ * ESP merge tags
+ *
+ * Merge tags (`*|UNSUB|*`, `{{ unsubscribe_link }}`, `{% web_view %}`, ...)
+ * are swapped for inert placeholders before the source is parsed and put
+ * back after it is serialized, so URL handling, entity decoding and
+ * attribute escaping never see them. Also holds each platform's footer
+ * (view in browser, postal address, unsubscribe) for the footer step.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.CleanSend = root.CleanSend || {};
+    root.CleanSend.mergeTags = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  // Tag syntaxes, by name. Sources are combined into one pattern per platform.
+  const SYNTAXES = {
+    // *|FNAME|*, *|IF:REWARDS|*
+    mailchimp: /\*\|[^|\n]+?\|\*/,
+    // HubL, Klaviyo and SendGrid handlebars: {{ x }}, {{{ x }}}, {% tag %}
+    braces: /\{\{\{[\s\S]*?\}\}\}|\{\{[\s\S]*?\}\}|\{%[\s\S]*?%\}/,
+    // SendGrid unsubscribe groups: <%asm_group_unsubscribe_raw_url%>
+    sendgrid: /<%[\s\S]*?%>/,
+    // Campaign Monitor personalization: [firstname,fallback=there]
+    campaignMonitor: /\[[a-z][a-z0-9_]*(?:,fallback=[^\]]*)?\]/i,
+  };
+
+  const PLATFORMS = {
+    mailchimp: {
+      label: 'Mailchimp',
+      syntaxes: ['mailchimp'],
+      footer: {
+        viewInBrowser: '<a href="*|ARCHIVE|*">View this email in your browser</a>',
+        address: '*|HTML:LIST_ADDRESS_HTML|*',
+        // The HTML address tag inserts markup, so the plain-text version has its own
+        textAddress: '*|LIST:ADDRESS|*',
+        unsubscribe: '<a href="*|UNSUB|*">Unsubscribe</a>',
+        preferences: '<a href="*|UPDATE_PROFILE|*">Update your preferences</a>',
+      },
+    },
+    hubspot: {
+      label: 'HubSpot',
+      syntaxes: ['braces'],
+      footer: {
+        viewInBrowser: '<a href="{{ view_as_page_url }}">View this email in your browser</a>',
+        address: '{{ site_settings.company_name }}, {{ site_settings.company_street_address_1 }}, ' +
+          '{{ site_settings.company_city }}, {{ site_settings.company_state }} {{ site_settings.company_zip }}',
+        unsubscribe: '<a href="{{ unsubscribe_link_all }}">Unsubscribe</a>',
+        preferences: '<a href="{{ unsubscribe_link }}">Manage preferences</a>',
+      },
+    },
+    klaviyo: {
+      label: 'Klaviyo',
+      syntaxes: ['braces'],
+      footer: {
+        viewInBrowser: '{% web_view %}',
+        address: '{{ organization.name }}, {{ organization.full_address }}',
+        unsubscribe: '{% unsubscribe %}',
+        preferences: '{% manage_preferences %}',
+      },
+    },
+    sendgrid: {
+      label: 'SendGrid',
+      syntaxes: ['braces', 'sendgrid'],
+      footer: {
+        viewInBrowser: null,
+        address: '{{Sender_Name}}, {{Sender_Address}}, {{Sender_City}}, {{Sender_State}} {{Sender_Zip}}',
+        unsubscribe: '<a href="<%asm_group_unsubscribe_raw_url%>">Unsubscribe</a>',
+        preferences: '<a href="<%asm_preferences_raw_url%>">Manage preferences</a>',
+      },
+    },
+    'campaign-monitor': {
+      label: 'Campaign Monitor',
+      syntaxes: ['campaignMonitor'],
+      footer: {
+        viewInBrowser: '<webversion>View this email in your browser</webversion>',
+        // Campaign Monitor has no address tag; pass footerAddress
+        address: null,
+        unsubscribe: '<unsubscribe>Unsubscribe</unsubscribe>',
+        preferences: null,
+      },
+    },
+  };
+
+  // Recognised when no platform is chosen (square brackets are too common in copy)
+  const DEFAULT_SYNTAXES = ['mailchimp', 'braces', 'sendgrid'];
+
+  // Lowercase word characters only, so URL parsing and host normalisation keep it intact
+  const PLACEHOLDER = /__merge_tag_(\d+)__/g;
+
+  /**
+   * Pattern matching every merge tag of a platform
+   * @param {?string} platform - PLATFORMS key, or empty for the common syntaxes
+   * @returns {RegExp} - Global pattern
+   */
+  function mergeTagPattern(platform) {
+    if (platform && !PLATFORMS[platform]) {
+      throw new Error(`Unknown platform "${platform}" (expected ${Object.keys(PLATFORMS).join(', ')})`);
+    }
+    const names = platform ? PLATFORMS[platform].syntaxes : DEFAULT_SYNTAXES;
+    return new RegExp(names.map((name) => SYNTAXES[name].source).join('|'), 'gi');
+  }
+
+  /**
+   * Placeholder table for one pipeline run
+   * @param {?string} platform - PLATFORMS key, or empty for the common syntaxes
+   * @returns {{protect: function(string): string, restore: function(string): string,
+   *   isTag: function(?string): boolean, tags: string[]}}
+   */
+  function createMergeTagContext(platform) {
+    const pattern = mergeTagPattern(platform);
+    const tags = [];
+
+    const protect = (value) => String(value).replace(pattern, (tag) => {
+      let index = tags.indexOf(tag);
+      if (index === -1) index = tags.push(tag) - 1;
+      return `__merge_tag_${index}__`;
+    });
+    const restore = (value) => String(value).replace(PLACEHOLDER, (placeholder, index) =>
+      (tags[index] !== undefined ? tags[index] : placeholder));
+    // Whole value is one tag (e.g. href="*|ARCHIVE|*"), protected or not
+    const isTag = (value) => {
+      const trimmed = (value || '').trim();
+      if (!trimmed) return false;
+      const exact = new RegExp(`^(?:${pattern.source}|__merge_tag_\\d+__)$`, 'i');
+      return exact.test(trimmed);
+    };
+
+    return { protect, restore, isTag, tags };
+  }
+
+  return {
+    PLATFORMS,
+    mergeTagPattern,
+    createMergeTagContext,
+  };
+});
@@ -0,0 +1,292 @@
+/**
+ * MIME encoding
+ *
+ * Builds the message an SMTP server or a desktop client opens directly
+ * (a .eml file): a plain-text alternative, the HTML part and the images it
+ * references by `cid:` (multipart/alternative around multipart/related),
+ * plus the base64 and data: URI encoders the transform uses to inline
+ * small images. Line endings are CRLF throughout.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./dom'), require('./zip'));
+  } else {
+    root.CleanSend = root.CleanSend || {};
+    root.CleanSend.mime = factory(root.CleanSend.dom, root.CleanSend.zip);
+  }
+})(typeof self !== 'undefined' ? self : this, function (dom, zip) {
+  'use strict';
+
+  const CRLF = '\r\n';
+  // Encoded lines stay under RFC 2045's 76 characters
+  const LINE_LENGTH = 76;
+  // Domain part of generated Content-IDs
+  const CID_DOMAIN = 'cleansend';
+  // From of a .eml with no sender given; clients file a message with no From
+  // as a draft or refuse it, and .invalid never resolves (RFC 2606)
+  const DEFAULT_FROM = 'CleanSend <preview@cleansend.invalid>';
+
+  const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+  const DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+  const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+  const encoder = new TextEncoder();
+
+  /**
+   * Base64 of some bytes (strings are encoded as UTF-8 first)
+   * @param {Uint8Array|string} data - Bytes
+   * @returns {string}
+   */
+  function encodeBase64(data) {
+    const bytes = typeof data === 'string' ? encoder.encode(data) : data;
+    let output = '';
+    for (let i = 0; i < bytes.length; i += 3) {
+      const chunk = (bytes[i] << 16) | ((bytes[i + 1] || 0) << 8) | (bytes[i + 2] || 0);
+      output += BASE64[(chunk >> 18) & 63] + BASE64[(chunk >> 12) & 63] +
+        (i + 1 < bytes.length ? BASE64[(chunk >> 6) & 63] : '=') +
+        (i + 2 < bytes.length ? BASE64[chunk & 63] : '=');
+    }
+    return output;
+  }
+
+  /**
+   * Base64 wrapped into lines for a MIME body
+   * @param {Uint8Array|string} data - Bytes
+   * @returns {string}
+   */
+  function base64Lines(data) {
+    return (encodeBase64(data).match(new RegExp(`.{1,${LINE_LENGTH}}`, 'g')) || []).join(CRLF);
+  }
+
+  /**
+   * Quoted-printable body for text: readable where it is ASCII, lines soft-wrapped
+   * @param {string} text - Text or HTML
+   * @returns {string}
+   */
+  function encodeQuotedPrintable(text) {
+    return text.replace(/\r\n?/g, '\n').split('\n').map((line) => {
+      const bytes = encoder.encode(line);
+      let output = '';
+      let current = '';
+      bytes.forEach((byte, index) => {
+        const blank = byte === 0x20 || byte === 0x09;
+        // Trailing spaces are dropped in transit, so they are encoded
+        const literal = (byte >= 0x21 && byte <= 0x7e && byte !== 0x3d) || (blank && index < bytes.length - 1);
+        const chunk = literal ? String.fromCharCode(byte) : `=${byte.toString(16).toUpperCase().padStart(2, '0')}`;
+        if (current.length + chunk.length > LINE_LENGTH - 1) {
+          output += `${current}=${CRLF}`;
+          current = '';
+        }
+        current += chunk;
+      });
+      return output + current;
+    }).join(CRLF);
+  }
+
+  /**
+   * Header value, as RFC 2047 encoded words when it isn't plain ASCII
+   * @param {string} value - Header value
+   * @returns {string}
+   */
+  function encodeHeader(value) {
+    const text = String(value).replace(/[\r\n]+/g, ' ');
+    if (/^[\x20-\x7e]*$/.test(text)) return text;
+    // Split between characters so no encoded word holds half of one
+    const words = [];
+    let current = '';
+    Array.from(text).forEach((char) => {
+      if (encoder.encode(current + char).length > 45) {
+        words.push(current);
+        current = '';
+      }
+      current += char;
+    });
+    words.push(current);
+    return words.map((word) => `=?UTF-8?B?${encodeBase64(word)}?=`).join(`${CRLF} `);
+  }
+
+  /**
+   * Address header value ("Name <address>", comma-separated); only display
+   * names are encoded, as the addresses themselves must stay readable
+   * @param {string} value - Header value
+   * @returns {string}
+   */
+  function encodeAddresses(value) {
+    // Commas inside quoted names don't separate addresses
+    return (String(value).match(/(?:"[^"]*"|[^,])+/g) || []).map((address) => {
+      const match = address.trim().match(/^"?(.*?)"?\s*<([^>]+)>$/);
+      if (!match) return address.trim();
+      const name = encodeHeader(match[1]);
+      const quoted = name.startsWith('=?') || !/[()<>@,;:\\".[\]]/.test(name) ? name : `"${name.replace(/"/g, '\\"')}"`;
+      return name ? `${quoted} <${match[2].trim()}>` : `<${match[2].trim()}>`;
+    }).join(', ');
+  }
+
+  /**
+   * RFC 5322 date, in UTC ("Mon, 19 Oct 2026 16:27:00 +0000")
+   * @param {Date} date - Date
+   * @returns {string}
+   */
+  function formatDate(date) {
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${DAYS[date.getUTCDay()]}, ${date.getUTCDate()} ${MONTHS[date.getUTCMonth()]} ${date.getUTCFullYear()} ` +
+      `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())} +0000`;
+  }
+
+  /**
+   * data: URI of an image
+   * @param {{data: Uint8Array, type: string}} image - Image
+   * @returns {string}
+   */
+  function dataUri(image) {
+    return `data:${image.type};base64,${encodeBase64(image.data)}`;
+  }
+
+  /**
+   * Content-ID for an attached image, as referenced by `cid:` in the HTML
+   * @param {string} name - Unique file name
+   * @returns {string}
+   */
+  function contentId(name) {
+    return `${name}@${CID_DOMAIN}`;
+  }
+
+  /**
+   * One MIME part: headers, a blank line and the body
+   * @param {Object<string, string>} headers - Header name -> value
+   * @param {string} body - Encoded body
+   * @returns {string}
+   */
+  function part(headers, body) {
+    const lines = Object.entries(headers).map(([name, value]) => `${name}: ${value}`);
+    return `${lines.join(CRLF)}${CRLF}${CRLF}${body}`;
+  }
+
+  /**
+   * multipart/* body around some parts
+   * @param {string} subtype - 'related', 'alternative' or 'mixed'
+   * @param {string} boundary - Boundary, not found in any part
+   * @param {string[]} parts - Encoded parts
+   * @param {Object<string, string>} [extra] - Extra Content-Type parameters
+   * @returns {{headers: Object<string, string>, body: string}}
+   */
+  function multipart(subtype, boundary, parts, extra = {}) {
+    const params = Object.entries(extra).map(([name, value]) => `; ${name}="${value}"`).join('');
+    return {
+      headers: { 'Content-Type': `multipart/${subtype}; boundary="${boundary}"${params}` },
+      body: parts.map((encoded) => `--${boundary}${CRLF}${encoded}${CRLF}`).join('') + `--${boundary}--${CRLF}`,
+    };
+  }
+
+  /**
+   * Build a MIME message: the HTML with its `cid:` images attached, and a
+   * plain-text alternative when there is one
+   * @param {Object} message
+   * @param {string} message.html - Email HTML
+   * @param {string} [message.text] - Plain-text version (see text.htmlToText)
+   * @param {Array<{name: string, data: Uint8Array, type: string}>} [message.images] -
+   *   Images referenced as `cid:<contentId(name)>`; each name is attached once
+   * @param {Object<string, string>} [message.headers] - Top-level headers
+   *   (Subject, From, To, Date...), encoded when not ASCII
+   * @returns {string} - The message, CRLF line endings
+   */
+  function createMessage({ html, text, images = [], headers = {} }) {
+    // Boundaries only need to differ from the encoded content, which never holds "=_"
+    const seed = zip.crc32(encoder.encode(html)).toString(16).padStart(8, '0');
+    const boundary = (name) => `----=_CleanSend_${name}_${seed}`;
+
+    const textPart = (subtype, content) => ({
+      headers: { 'Content-Type': `text/${subtype}; charset=utf-8`, 'Content-Transfer-Encoding': 'quoted-printable' },
+      body: encodeQuotedPrintable(content),
+    });
+    const htmlPart = textPart('html', html);
+    const attached = [...new Map(images.map((image) => [image.name, image])).values()];
+    let body = htmlPart;
+    if (attached.length) {
+      body = multipart('related', boundary('related'), [
+        part(htmlPart.headers, htmlPart.body),
+        ...attached.map((image) => part({
+          'Content-Type': `${image.type}; name="${image.name}"`,
+          'Content-Transfer-Encoding': 'base64',
+          'Content-ID': `<${contentId(image.name)}>`,
+          'Content-Disposition': `inline; filename="${image.name}"`,
+        }, base64Lines(image.data))),
+      ], { type: 'text/html' });
+    }
+    if (typeof text === 'string') {
+      const plain = textPart('plain', text);
+      // Clients show the last alternative they can render, so HTML goes last
+      body = multipart('alternative', boundary('alternative'), [
+        part(plain.headers, plain.body),
+        part(body.headers, body.body),
+      ]);
+    }
+
+    const top = {};
+    Object.entries(headers).forEach(([name, value]) => {
+      if (value === undefined || value === null || value === '') return;
+      top[name] = /^(from|to|cc|reply-to)$/i.test(name) ? encodeAddresses(value) : encodeHeader(value);
+    });
+    top['MIME-Version'] = '1.0';
+    return part({ ...top, ...body.headers }, body.body);
+  }
+
+  /**
+   * Text of an HTML document's `<title>`, entities decoded
+   * @param {string} html - Email HTML
+   * @returns {string} - Empty when there is none
+   */
+  function documentTitle(html) {
+    const match = /<title[^>]*>([\s\S]*?)<\/title>/i.exec(html || '');
+    return match ? dom.decodeEntities(match[1]).replace(/\s+/g, ' ').trim() : '';
+  }
+
+  /**
+   * Build a .eml file a desktop client opens as a received message. Clients
+   * show a message with no Subject or From badly (or as a draft), so those
+   * always get a value.
+   * @param {Object} email
+   * @param {string} email.html - Email HTML
+   * @param {string} [email.text] - Plain-text version
+   * @param {Array<Object>} [email.images] - `cid:` images (see createMessage)
+   * @param {string} [email.subject] - Subject line (default the HTML's
+   *   `<title>`, else the preheader)
+   * @param {string} [email.preheader] - Preview text, the last resort for the subject
+   * @param {string} [email.from] - Sender, e.g. 'Solmar <news@solmar.ca>'
+   *   (default DEFAULT_FROM)
+   * @param {string} [email.to] - Recipient
+   * @param {Date} [email.date] - Date header (default now)
+   * @returns {string}
+   */
+  function createEml({ html, text, images, subject, preheader, from, to, date = new Date() }) {
+    const id = `${zip.crc32(encoder.encode(html)).toString(16).padStart(8, '0')}.${date.getTime()}@${CID_DOMAIN}`;
+    return createMessage({
+      html,
+      text,
+      images,
+      headers: {
+        Date: formatDate(date),
+        From: from || DEFAULT_FROM,
+        To: to,
+        Subject: subject || documentTitle(html) || preheader,
+        'Message-ID': `<${id}>`,
+      },
+    });
+  }
+
+  return {
+    CRLF,
+    DEFAULT_FROM,
+    encodeBase64,
+    encodeQuotedPrintable,
+    encodeHeader,
+    encodeAddresses,
+    formatDate,
+    dataUri,
+    contentId,
+    createMessage,
+    documentTitle,
+    createEml,
+  };
+});
@@ -0,0 +1,233 @@
+/**
+ * Preview simulation
+ *
+ * Rewrites finished email HTML so a browser iframe approximates other
+ * clients: device widths, dark-mode colour inversion and an Outlook-ish
+ * mode that drops the CSS Word's rendering engine ignores. These are
+ * approximations for catching layout problems, not a replacement for a
+ * real test send.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./dom'), require('./style'));
+  } else {
+    root.CleanSend = root.CleanSend || {};
+    root.CleanSend.preview = factory(root.CleanSend.dom, root.CleanSend.style);
+  }
+})(typeof self !== 'undefined' ? self : this, function (dom, style) {
+  'use strict';
+
+  // ==========================================================================
+  // CONSTANTS
+  // ==========================================================================
+
+  const DEVICES = [
+    { id: '320', label: '320px (small phone)', width: 320 },
+    { id: '375', label: '375px (phone)', width: 375 },
+    { id: '600', label: '600px (tablet / preview pane)', width: 600 },
+    { id: 'desktop', label: 'Desktop', width: null },
+  ];
+
+  // Declarations Outlook's Word engine ignores
+  const OUTLOOK_UNSUPPORTED = ['max-width', 'min-width', 'max-height', 'border-radius', 'box-shadow',
+    'background-image', 'background-size', 'background-position', 'position', 'float', 'opacity',
+    'transform', 'transition', 'animation'];
+
+  const DARK_BACKGROUND = '#121212';
+  const DARK_TEXT = '#e8e8e8';
+
+  // Full inversion as done by Outlook for Windows and the Gmail apps; images are inverted back
+  const FULL_INVERSION_STYLE = 'html{filter:invert(1) hue-rotate(180deg);background:#ffffff;}' +
+    'img,[background]{filter:invert(1) hue-rotate(180deg);}';
+
+  const NAMED_COLORS = {
+    white: '#ffffff',
+    black: '#000000',
+    red: '#ff0000',
+    green: '#008000',
+    blue: '#0000ff',
+    gray: '#808080',
+    grey: '#808080',
+    silver: '#c0c0c0',
+  };
+
+  // ==========================================================================
+  // HELPERS
+  // ==========================================================================
+
+  /**
+   * Parse a CSS/HTML colour value
+   * @param {?string} value - #rgb, #rrggbb, rgb()/rgba() or a basic named colour
+   * @returns {?number[]} - [r, g, b] in 0-255, or null when not understood
+   */
+  function parseColor(value) {
+    let color = (value || '').trim().toLowerCase().replace(/\s*!important$/, '');
+    color = NAMED_COLORS[color] || color;
+    let match = /^#([0-9a-f]{3})$/.exec(color);
+    if (match) return match[1].split('').map((digit) => parseInt(digit + digit, 16));
+    match = /^#([0-9a-f]{6})$/.exec(color);
+    if (match) return [0, 2, 4].map((start) => parseInt(match[1].slice(start, start + 2), 16));
+    match = /^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/.exec(color);
+    if (match) return match.slice(1, 4).map((channel) => Math.min(255, parseInt(channel, 10)));
+    return null;
+  }
+
+  /**
+   * Relative lightness of a colour (HSL lightness, 0-1)
+   * @param {number[]} rgb - [r, g, b]
+   * @returns {number}
+   */
+  function lightness(rgb) {
+    return (Math.max(...rgb) + Math.min(...rgb)) / 510;
+  }
+
+  /**
+   * Mirror a colour's lightness while keeping its hue, as partial dark-mode
+   * clients do (light backgrounds go dark, dark text goes light)
+   * @param {number[]} rgb - [r, g, b]
+   * @returns {string} - #rrggbb
+   */
+  function invertLightness(rgb) {
+    const max = Math.max(...rgb);
+    const min = Math.min(...rgb);
+    // Shift every channel by the same amount so the hue and chroma stay put
+    const shift = 255 - max - min;
+    return `#${rgb.map((channel) => Math.max(0, Math.min(255, channel + shift))
+      .toString(16).padStart(2, '0')).join('')}`;
+  }
+
+  /**
+   * Apply Outlook's conditional comments: reveal `<!--[if mso]>` blocks and
+   * drop `<!--[if !mso]><!-->` ones
+   * @param {string} html - Email HTML
+   * @returns {string}
+   */
+  function applyOutlookConditionals(html) {
+    return html
+      .replace(/<!--\[if\s+!mso[^\]]*\]><!-->([\s\S]*?)<!--<!\[endif\]-->/gi, '')
+      .replace(/<!--\[if\s+([^\]]*)\]>([\s\S]*?)<!\[endif\]-->/gi, (comment, condition, content) =>
+        (/mso/i.test(condition) && !/!\s*mso/i.test(condition) ? content : comment));
+  }
+
+  // ==========================================================================
+  // SIMULATIONS
+  // ==========================================================================
+
+  /**
+   * Drop what Outlook ignores or hides: unsupported declarations,
+   * display:none (Outlook shows the element), mso-hide:all elements (Outlook
+   * hides them) and @media rules
+   * @param {Fragment} tree - Parsed email
+   */
+  function simulateOutlook(tree) {
+    tree.getElementsByTagName('*').forEach((element) => {
+      if (!element.hasAttribute('style')) return;
+      const declarations = style.parseStyle(element.getAttribute('style'));
+      if (declarations.get('mso-hide') === 'all') {
+        element.remove();
+        return;
+      }
+      if (/^none\b/i.test(declarations.get('display') || '')) declarations.delete('display');
+      OUTLOOK_UNSUPPORTED.forEach((property) => declarations.delete(property));
+      element.setAttribute('style', style.serializeStyle(declarations));
+    });
+
+    tree.getElementsByTagName('style').forEach((element) => {
+      const css = element.textContent;
+      element.children.slice().forEach((child) => child.remove());
+      element.appendChild(new dom.Text(removeMediaQueries(css)));
+    });
+  }
+
+  /**
+   * Strip @media blocks from a style sheet
+   * @param {string} css - Style sheet text
+   * @returns {string}
+   */
+  function removeMediaQueries(css) {
+    let out = '';
+    let i = 0;
+    while (i < css.length) {
+      const start = css.indexOf('@media', i);
+      if (start === -1) {
+        out += css.slice(i);
+        break;
+      }
+      out += css.slice(i, start);
+      let depth = 0;
+      let j = css.indexOf('{', start);
+      if (j === -1) break;
+      for (; j < css.length; j++) {
+        if (css[j] === '{') depth++;
+        else if (css[j] === '}' && --depth === 0) break;
+      }
+      i = j + 1;
+    }
+    return out;
+  }
+
+  /**
+   * Partial dark mode (Outlook.com, Apple Mail with dark mode forced): light
+   * backgrounds are darkened and dark text lightened, images untouched
+   * @param {Fragment} tree - Parsed email
+   */
+  function simulatePartialDarkMode(tree) {
+    tree.getElementsByTagName('*').forEach((element) => {
+      const bgcolor = parseColor(element.getAttribute('bgcolor'));
+      if (bgcolor && lightness(bgcolor) > 0.5) element.setAttribute('bgcolor', invertLightness(bgcolor));
+      const textColor = parseColor(element.getAttribute('color'));
+      if (textColor && lightness(textColor) < 0.5) element.setAttribute('color', invertLightness(textColor));
+
+      if (!element.hasAttribute('style')) return;
+      const declarations = style.parseStyle(element.getAttribute('style'));
+      ['background-color', 'background'].forEach((property) => {
+        const rgb = parseColor(declarations.get(property));
+        if (rgb && lightness(rgb) > 0.5) declarations.set(property, invertLightness(rgb));
+      });
+      const color = parseColor(declarations.get('color'));
+      if (color && lightness(color) < 0.5) declarations.set('color', invertLightness(color));
+      element.setAttribute('style', style.serializeStyle(declarations));
+    });
+  }
+
+  /**
+   * Rewrite email HTML for the preview iframe
+   * @param {string} html - Finished email HTML
+   * @param {Object} [options]
+   * @param {string} [options.client] - 'browser' (as is) or 'outlook'
+   * @param {string} [options.dark] - 'off', 'partial' or 'full' colour inversion
+   * @returns {string}
+   */
+  function simulateClient(html, { client = 'browser', dark = 'off' } = {}) {
+    const tree = dom.parse(client === 'outlook' ? applyOutlookConditionals(html) : html);
+    if (client === 'outlook') simulateOutlook(tree);
+
+    let pageStyle = '';
+    if (dark === 'partial') {
+      simulatePartialDarkMode(tree);
+      pageStyle = `body{background:${DARK_BACKGROUND};color:${DARK_TEXT};}`;
+    } else if (dark === 'full') {
+      pageStyle = FULL_INVERSION_STYLE;
+    }
+    if (!pageStyle) return dom.serialize(tree);
+
+    // A full document keeps its doctype first, or the iframe falls into quirks mode
+    const head = tree.getElementsByTagName('head')[0];
+    if (head) {
+      const element = new dom.Element('style');
+      element.appendChild(new dom.Text(pageStyle));
+      head.appendChild(element);
+      return dom.serialize(tree);
+    }
+    return dom.serialize(tree).replace(/^(\s*<!doctype[^>]*>\s*)?/i, (doctype) => `${doctype}<style>${pageStyle}</style>\n`);
+  }
+
+  return {
+    DEVICES,
+    OUTLOOK_UNSUPPORTED,
+    parseColor,
+    invertLightness,
+    applyOutlookConditionals,
+    simulateClient,
+  };
+});
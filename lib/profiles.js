@@ -0,0 +1,168 @@
+/**
+ * ESP export profiles
+ *
+ * A profile bundles what one platform's import needs: its merge-tag syntax
+ * and footer (see merge-tags.js), the markup its sanitizer rejects, the
+ * footer elements it refuses to send without and its editable-region
+ * markup (Mailchimp `mc:edit`, Campaign Monitor `editable` / `<singleline>`).
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./dom'));
+  } else {
+    root.CleanSend = root.CleanSend || {};
+    root.CleanSend.profiles = factory(root.CleanSend.dom);
+  }
+})(typeof self !== 'undefined' ? self : this, function (dom) {
+  'use strict';
+
+  // Removed for every platform: scripts and embeds never survive an ESP import
+  const UNSAFE_ELEMENTS = ['script', 'iframe', 'object', 'embed', 'form'];
+  const EVENT_HANDLER = /^on/i;
+
+  // Campaign Monitor template tags, unwrapped on other platforms
+  const CAMPAIGN_MONITOR_TAGS = ['singleline', 'multiline', 'layout', 'repeater', 'webversion',
+    'unsubscribe', 'preferences', 'forwardtoafriend'];
+  const MAILCHIMP_ATTRIBUTE = /^mc:/i;
+
+  /**
+   * Mark slices (and the preview text) as editable regions
+   * @callback MarkEditable
+   * @param {{images: Element[], preheader: ?Element}} regions - Content
+   *   images in document order and the hidden preview text element
+   * @returns {number} - Elements marked
+   */
+
+  /** @type {MarkEditable} */
+  function markMailchimp({ images, preheader }) {
+    images.forEach((img, index) => img.setAttribute('mc:edit', `image_${index + 1}`));
+    if (preheader) preheader.setAttribute('mc:edit', 'preheader');
+    return images.length + (preheader ? 1 : 0);
+  }
+
+  /** @type {MarkEditable} */
+  function markCampaignMonitor({ images, preheader }) {
+    images.forEach((img, index) => {
+      img.setAttribute('editable', 'true');
+      img.setAttribute('label', img.getAttribute('alt') || `Image ${index + 1}`);
+    });
+    if (preheader && !preheader.getElementsByTagName('singleline').length) {
+      const line = new dom.Element('singleline', [{ name: 'label', value: 'Preview text' }]);
+      preheader.children.slice().forEach((child) => line.appendChild(child));
+      preheader.appendChild(line);
+    }
+    return images.length + (preheader ? 1 : 0);
+  }
+
+  const MAILCHIMP_ADDRESS = /\*\|(HTML:)?LIST_ADDRESS(_HTML)?\|\*|\*\|LIST:ADDRESS(LINE)?\|\*/i;
+
+  const PROFILES = {
+    mailchimp: {
+      label: 'Mailchimp',
+      platform: 'mailchimp',
+      sanitize: { elements: UNSAFE_ELEMENTS, unwrap: CAMPAIGN_MONITOR_TAGS, attributes: [EVENT_HANDLER, 'editable'] },
+      required: [
+        { id: 'unsubscribe', label: 'Unsubscribe link (*|UNSUB|*)', pattern: /\*\|UNSUB\|\*/i },
+        { id: 'address', label: 'Postal address (*|HTML:LIST_ADDRESS_HTML|*)', pattern: MAILCHIMP_ADDRESS },
+      ],
+      markEditable: markMailchimp,
+      templateHeader: null,
+    },
+    hubspot: {
+      label: 'HubSpot',
+      platform: 'hubspot',
+      sanitize: {
+        elements: UNSAFE_ELEMENTS,
+        unwrap: CAMPAIGN_MONITOR_TAGS,
+        attributes: [EVENT_HANDLER, MAILCHIMP_ATTRIBUTE, 'editable'],
+      },
+      required: [
+        { id: 'unsubscribe', label: 'Unsubscribe link ({{ unsubscribe_link }})', pattern: /\{\{\s*unsubscribe_link(_all)?\s*\}\}/i },
+        { id: 'address', label: 'Company address ({{ site_settings.company_* }})', pattern: /\{\{\s*site_settings\.company_/i },
+      ],
+      markEditable: null,
+      // Coded email templates are only offered in the editor with this annotation
+      templateHeader: '<!--\n  templateType: email\n  isAvailableForNewContent: true\n-->',
+    },
+    klaviyo: {
+      label: 'Klaviyo',
+      platform: 'klaviyo',
+      sanitize: {
+        elements: UNSAFE_ELEMENTS,
+        unwrap: CAMPAIGN_MONITOR_TAGS,
+        attributes: [EVENT_HANDLER, MAILCHIMP_ATTRIBUTE, 'editable'],
+      },
+      required: [
+        { id: 'unsubscribe', label: 'Unsubscribe link ({% unsubscribe %})', pattern: /\{%\s*unsubscribe(_url|_link)?\b/i },
+        { id: 'address', label: 'Organization address ({{ organization.full_address }})', pattern: /\{\{\s*organization\.full_address/i },
+      ],
+      markEditable: null,
+      templateHeader: null,
+    },
+    sendgrid: {
+      label: 'SendGrid',
+      platform: 'sendgrid',
+      sanitize: {
+        elements: UNSAFE_ELEMENTS,
+        unwrap: CAMPAIGN_MONITOR_TAGS,
+        attributes: [EVENT_HANDLER, MAILCHIMP_ATTRIBUTE, 'editable'],
+      },
+      required: [
+        { id: 'unsubscribe', label: 'Unsubscribe link (<%asm_group_unsubscribe_raw_url%>)', pattern: /<%\s*asm_(group_)?unsubscribe(_raw)?_url\s*%>/i },
+      ],
+      markEditable: null,
+      templateHeader: null,
+    },
+    'campaign-monitor': {
+      label: 'Campaign Monitor',
+      platform: 'campaign-monitor',
+      sanitize: { elements: UNSAFE_ELEMENTS, unwrap: [], attributes: [EVENT_HANDLER, MAILCHIMP_ATTRIBUTE] },
+      required: [
+        { id: 'unsubscribe', label: 'Unsubscribe link (<unsubscribe>)', pattern: /<unsubscribe\b|\[unsubscribe\]/i },
+      ],
+      markEditable: markCampaignMonitor,
+      templateHeader: null,
+    },
+  };
+
+  /**
+   * Look up a profile
+   * @param {?string} name - PROFILES key, or empty for none
+   * @returns {?Object}
+   */
+  function getProfile(name) {
+    if (!name) return null;
+    if (!PROFILES[name]) {
+      throw new Error(`Unknown profile "${name}" (expected ${Object.keys(PROFILES).join(', ')})`);
+    }
+    return PROFILES[name];
+  }
+
+  /**
+   * Required footer elements missing from an email
+   * @param {Object} profile - Export profile
+   * @param {string} html - Serialized email, merge tags restored
+   * @returns {Array<{id: string, label: string}>}
+   */
+  function missingRequirements(profile, html) {
+    return profile.required.filter((requirement) => !requirement.pattern.test(html))
+      .map(({ id, label }) => ({ id, label }));
+  }
+
+  /**
+   * Whether an attribute name matches a sanitizer rule list
+   * @param {Array<string|RegExp>} rules - Exact names or patterns
+   * @param {string} name - Attribute name
+   * @returns {boolean}
+   */
+  function matchesRule(rules, name) {
+    return rules.some((rule) => (typeof rule === 'string' ? rule === name.toLowerCase() : rule.test(name)));
+  }
+
+  return {
+    PROFILES,
+    getProfile,
+    missingRequirements,
+    matchesRule,
+  };
+});
@@ -0,0 +1,167 @@
+/**
+ * Size budget
+ *
+ * Gmail clips messages whose HTML is over about 102KB behind a "View
+ * entire message" link, which hides the footer (and the unsubscribe link)
+ * and stops the open-tracking pixel from loading. This module measures the
+ * output against that limit and totals the weight of the images it
+ * references.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.CleanSend = root.CleanSend || {};
+    root.CleanSend.size = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const GMAIL_CLIP_BYTES = 102 * 1024;
+  // ESPs add tracking redirects, a footer and their own markup on send, so
+  // warn well before the limit
+  const WARNING_RATIO = 0.75;
+
+  const DEFAULT_IMAGE_OPTIONS = {
+    // (url, init) => Promise<Response-like>; defaults to fetch
+    fetcher: null,
+    timeout: 10000,
+    concurrency: 4,
+    // Known sizes by src, used instead of a request: the files behind cid:
+    // references, which only the attached message holds
+    sizes: null,
+    // Map of URL -> Promise<?number> kept between calls, so an email
+    // regenerated after each edit requests each image once; null to measure afresh
+    cache: null,
+  };
+
+  const encoder = typeof TextEncoder === 'function' ? new TextEncoder() : null;
+
+  /**
+   * UTF-8 size of a string, as sent
+   * @param {string} text - Text to measure
+   * @returns {number} - Bytes
+   */
+  function byteLength(text) {
+    if (encoder) return encoder.encode(text).length;
+    return unescape(encodeURIComponent(text)).length;
+  }
+
+  /**
+   * Human-readable size ("84.3 KB")
+   * @param {?number} bytes - Bytes, or null when unknown
+   * @returns {string}
+   */
+  function formatBytes(bytes) {
+    if (bytes === null || bytes === undefined) return 'unknown';
+    const sign = bytes < 0 ? '-' : '';
+    const size = Math.abs(bytes);
+    if (size < 1024) return `${sign}${size} B`;
+    if (size < 1024 * 1024) return `${sign}${(size / 1024).toFixed(1)} KB`;
+    return `${sign}${(size / 1024 / 1024).toFixed(2)} MB`;
+  }
+
+  /**
+   * Where an HTML size stands against Gmail's clipping limit
+   * @param {number} bytes - HTML size
+   * @returns {{bytes: number, limit: number, ratio: number, level: string, message: string}}
+   *   - `level` is 'ok', 'warning' (within 25% of the limit) or 'clipped'
+   */
+  function clipStatus(bytes) {
+    const ratio = bytes / GMAIL_CLIP_BYTES;
+    let level = 'ok';
+    let message = `${formatBytes(bytes)} of Gmail's ${formatBytes(GMAIL_CLIP_BYTES)} clipping limit`;
+    if (ratio >= 1) {
+      level = 'clipped';
+      message = `${formatBytes(bytes)} is over Gmail's ${formatBytes(GMAIL_CLIP_BYTES)} limit: ` +
+        'Gmail will clip the email and hide the footer';
+    } else if (ratio >= WARNING_RATIO) {
+      level = 'warning';
+      message = `${formatBytes(bytes)} is close to Gmail's ${formatBytes(GMAIL_CLIP_BYTES)} limit: ` +
+        'ESP tracking links and footers may push it over';
+    }
+    return { bytes, limit: GMAIL_CLIP_BYTES, ratio, level, message };
+  }
+
+  /**
+   * Size of one image, from Content-Length or the downloaded body
+   * @param {Function} fetcher - fetch-compatible function
+   * @param {string} url - Image URL
+   * @param {number} timeout - Milliseconds before the request is aborted
+   * @returns {Promise<?number>} - Bytes, or null when it can't be measured
+   */
+  async function imageBytes(fetcher, url, timeout) {
+    const controller = typeof AbortController === 'function' ? new AbortController() : null;
+    const timer = controller ? setTimeout(() => controller.abort(), timeout) : null;
+    const signal = controller ? controller.signal : undefined;
+    try {
+      const head = await fetcher(url, { method: 'HEAD', signal });
+      const length = head.headers && typeof head.headers.get === 'function'
+        ? parseInt(head.headers.get('content-length'), 10)
+        : NaN;
+      if (head.status >= 200 && head.status < 300 && length >= 0) return length;
+
+      // No usable Content-Length: download it
+      const response = await fetcher(url, { method: 'GET', signal });
+      if (response.status < 200 || response.status >= 300 || typeof response.arrayBuffer !== 'function') return null;
+      return (await response.arrayBuffer()).byteLength;
+    } catch (error) {
+      return null;
+    } finally {
+      if (timer) clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Count and weigh the images an email references
+   * @param {Array<{src: string}>|string[]} images - `images` from runPipeline,
+   *   or plain srcs
+   * @param {Object} [options] - See DEFAULT_IMAGE_OPTIONS
+   * @returns {Promise<{count: number, distinct: number, bytes: number,
+   *   unknown: string[], sizes: Object<string, ?number>}>}
+   *   - `bytes` totals each distinct image once (clients cache repeats);
+   *   `unknown` lists the srcs that could not be measured (relative paths,
+   *   cid: references with no known size, failed or cross-origin requests).
+   *   data: URIs weigh nothing here: they are counted in the HTML size
+   */
+  async function measureImages(images, options = {}) {
+    const { fetcher, timeout, concurrency, cache, sizes: known } = { ...DEFAULT_IMAGE_OPTIONS, ...options };
+    const fetchFn = fetcher || (typeof fetch === 'function' ? fetch : null);
+    const srcs = images.map((image) => (typeof image === 'string' ? image : image.src)).filter(Boolean);
+    const distinct = [...new Set(srcs)];
+
+    const sizes = {};
+    let next = 0;
+    const worker = async () => {
+      while (next < distinct.length) {
+        const src = distinct[next++];
+        if (/^data:/i.test(src)) sizes[src] = 0;
+        else if (known && typeof known[src] === 'number') sizes[src] = known[src];
+        else if (!fetchFn || !/^https?:\/\//i.test(src)) sizes[src] = null;
+        else {
+          if (cache && !cache.has(src)) cache.set(src, imageBytes(fetchFn, src, timeout));
+          sizes[src] = await (cache ? cache.get(src) : imageBytes(fetchFn, src, timeout));
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, distinct.length)) }, worker));
+
+    return {
+      count: srcs.length,
+      distinct: distinct.length,
+      bytes: distinct.reduce((sum, src) => sum + (sizes[src] || 0), 0),
+      unknown: distinct.filter((src) => sizes[src] === null),
+      sizes,
+    };
+  }
+
+  return {
+    GMAIL_CLIP_BYTES,
+    WARNING_RATIO,
+    DEFAULT_IMAGE_OPTIONS,
+    byteLength,
+    formatBytes,
+    clipStatus,
+    measureImages,
+  };
+});
@@ -0,0 +1,130 @@
+/**
+ * Inline style helpers
+ *
+ * Parses `style` attribute values into ordered declaration maps so
+ * transforms can merge declarations instead of overwriting the attribute.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.CleanSend = root.CleanSend || {};
+    root.CleanSend.style = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  /**
+   * Parse a style attribute value
+   * @param {?string} value - e.g. "display: block; border:0"
+   * @returns {Map<string, string>} - Lowercase property -> value, in source order
+   */
+  function parseStyle(value) {
+    const declarations = new Map();
+    if (!value) return declarations;
+
+    // Split on semicolons that are not inside parentheses or quotes (url(), fonts)
+    let depth = 0;
+    let quote = null;
+    let start = 0;
+    const parts = [];
+    for (let i = 0; i < value.length; i++) {
+      const char = value[i];
+      if (quote) {
+        if (char === quote) quote = null;
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === '(') {
+        depth++;
+      } else if (char === ')') {
+        depth = Math.max(0, depth - 1);
+      } else if (char === ';' && depth === 0) {
+        parts.push(value.slice(start, i));
+        start = i + 1;
+      }
+    }
+    parts.push(value.slice(start));
+
+    parts.forEach((part) => {
+      const colon = part.indexOf(':');
+      if (colon === -1) return;
+      const property = part.slice(0, colon).trim().toLowerCase();
+      const propertyValue = part.slice(colon + 1).trim();
+      if (!property || !propertyValue) return;
+      declarations.delete(property);
+      declarations.set(property, propertyValue);
+    });
+
+    return declarations;
+  }
+
+  /**
+   * Serialize declarations back to a compact style attribute value
+   * @param {Map<string, string>} declarations - Declarations to write
+   * @returns {string} - e.g. "display:block;border:0;"
+   */
+  function serializeStyle(declarations) {
+    let out = '';
+    declarations.forEach((value, property) => {
+      out += `${property}:${value};`;
+    });
+    return out;
+  }
+
+  /**
+   * Merge declarations into an element's style attribute
+   * @param {Element} element - Element to update
+   * @param {string|Map<string, string>} declarations - Declarations to add
+   * @param {Object} [options]
+   * @param {boolean} [options.override] - Added declarations win over existing
+   *   ones (default: existing declarations win, as if appended after ours)
+   */
+  function mergeStyle(element, declarations, { override = false } = {}) {
+    const added = typeof declarations === 'string' ? parseStyle(declarations) : declarations;
+    const existing = parseStyle(element.getAttribute('style'));
+    // Our declarations stay in front so the base style reads the same everywhere
+    const merged = new Map();
+    added.forEach((value, property) => {
+      merged.set(property, !override && existing.has(property) ? existing.get(property) : value);
+    });
+    existing.forEach((value, property) => {
+      if (!merged.has(property)) merged.set(property, value);
+    });
+
+    element.setAttribute('style', serializeStyle(merged));
+  }
+
+  /**
+   * Append declarations the element's style doesn't already set
+   * @param {Element} element - Element to update
+   * @param {string|Map<string, string>} declarations - Declarations to add
+   */
+  function appendStyle(element, declarations) {
+    const added = typeof declarations === 'string' ? parseStyle(declarations) : declarations;
+    const merged = parseStyle(element.getAttribute('style'));
+    added.forEach((value, property) => {
+      if (!merged.has(property)) merged.set(property, value);
+    });
+    element.setAttribute('style', serializeStyle(merged));
+  }
+
+  /**
+   * Remove declarations from an element's style attribute
+   * @param {Element} element - Element to update
+   * @param {string[]} properties - Lowercase property names
+   */
+  function removeStyleProperties(element, properties) {
+    if (!element.hasAttribute('style')) return;
+    const declarations = parseStyle(element.getAttribute('style'));
+    properties.forEach((property) => declarations.delete(property));
+    element.setAttribute('style', serializeStyle(declarations));
+  }
+
+  return {
+    parseStyle,
+    serializeStyle,
+    mergeStyle,
+    appendStyle,
+    removeStyleProperties,
+  };
+});
@@ -0,0 +1,113 @@
+/**
+ * Plain-text version of an email
+ *
+ * The text/plain part of a multipart/alternative message. Slice-built
+ * emails are mostly images, so each image contributes its alt text and
+ * each link its URL, on its own line beneath the linked content. Hidden
+ * content (the preheader, mso-hide blocks) and Outlook-only conditional
+ * markup are left out.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./dom'), require('./style'));
+  } else {
+    root.CleanSend = root.CleanSend || {};
+    root.CleanSend.text = factory(root.CleanSend.dom, root.CleanSend.style);
+  }
+})(typeof self !== 'undefined' ? self : this, function (dom, style) {
+  'use strict';
+
+  const SKIPPED_ELEMENTS = new Set(['head', 'style', 'script', 'title', 'template']);
+
+  // Start a new paragraph
+  const BLOCK_ELEMENTS = new Set(['table', 'tr', 'td', 'th', 'div', 'p', 'center', 'blockquote',
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'li']);
+
+  /**
+   * Whether no client shows an element (display:none, mso-hide:all)
+   * @param {Element} element - Element
+   * @returns {boolean}
+   */
+  function isHidden(element) {
+    const declarations = style.parseStyle(element.getAttribute('style'));
+    return /^none\b/i.test(declarations.get('display') || '') || declarations.get('mso-hide') === 'all';
+  }
+
+  /**
+   * Whether a link target is worth printing (not "#", javascript: or empty)
+   * @param {string} href - Link href
+   * @returns {boolean}
+   */
+  function isPrintableHref(href) {
+    return !!href && !href.startsWith('#') && !/^javascript:/i.test(href);
+  }
+
+  /**
+   * Render a node's content as text with paragraph breaks
+   * @param {Node} node - Node
+   * @returns {string} - Text with '\n' line and paragraph breaks, not yet tidied
+   */
+  function render(node) {
+    if (node.type === 'text') return node.textContent.replace(/\s+/g, ' ');
+    if (node.type !== 'element' && node.type !== 'fragment') return '';
+    if (node.type === 'element') {
+      if (SKIPPED_ELEMENTS.has(node.tagName) || node.tagName.includes(':') || isHidden(node)) return '';
+      if (node.tagName === 'br') return '\n';
+      if (node.tagName === 'hr') return '\n\n---\n\n';
+      if (node.tagName === 'img') return ` ${(node.getAttribute('alt') || '').trim()} `;
+    }
+
+    const content = node.children.map(render).join('');
+    if (node.type === 'fragment') return content;
+    if (node.tagName === 'a') {
+      const href = (node.getAttribute('href') || '').trim();
+      const label = content.trim();
+      if (!isPrintableHref(href) || label === href || label === href.replace(/^mailto:/i, '')) return content;
+      return `\n${label}\n${href}\n`;
+    }
+    if (node.tagName === 'li') return `\n- ${content.trim()}\n`;
+    return BLOCK_ELEMENTS.has(node.tagName) ? `\n\n${content}\n\n` : content;
+  }
+
+  /**
+   * Plain-text version of a parsed email
+   * @param {Node} node - Parsed email (see dom.parse)
+   * @param {Object} [options]
+   * @param {string} [options.preheader] - Preview text, put first (the
+   *   hidden preheader in the HTML is skipped)
+   * @param {string} [options.footer] - Text put last, under a `---` rule
+   * @returns {string} - Paragraphs separated by blank lines, '\n' line endings
+   */
+  function nodeToText(node, options = {}) {
+    const body = render(node)
+      .split('\n')
+      .map((line) => line.replace(/[ \t\u00a0]+/g, ' ').trim())
+      // Separators between footer links mean nothing once the links are on their own lines
+      .filter((line) => !/^[·|•]+$/.test(line))
+      .join('\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim()
+      .split('\n\n')
+      // A slice cut into pieces (or several slices of one banner) repeats its alt text and link
+      .filter((paragraph, index, paragraphs) => paragraph !== paragraphs[index - 1])
+      .join('\n\n');
+    const preheader = (options.preheader || '').trim();
+    const footer = (options.footer || '').trim();
+    return `${[preheader, body, footer && `---\n\n${footer}`].filter(Boolean).join('\n\n')}\n`;
+  }
+
+  /**
+   * Plain-text version of email HTML
+   * @param {string} html - Email HTML (fragment or document)
+   * @param {Object} [options] - See nodeToText
+   * @returns {string}
+   */
+  function htmlToText(html, options) {
+    return nodeToText(dom.parse(html), options);
+  }
+
+  return {
+    nodeToText,
+    htmlToText,
+  };
+});
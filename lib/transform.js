@@ -0,0 +1,1309 @@
+/**
+ * Headless email HTML transform
+ *
+ * Turns a Photoshop "Save for Web" slice export into email-safe markup:
+ * normalized tables, zeroed cells, absolute image URLs, a hidden preheader,
+ * nested tables for multi-column rows, link styles and UTM parameters.
+ * Every item of PHOTOSHOP_TO_MAILCHIMP.md is a named step that can be
+ * switched off and is checked in the run report.
+ * The source is parsed once, every step edits the tree, and the result is
+ * serialized once, so attributes the steps don't own are left alone.
+ * Works in the browser (window.CleanSend.transform) and under Node
+ * (require('./lib/transform')).
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./dom'), require('./style'), require('./document'), require('./links'),
+      require('./merge-tags'), require('./profiles'), require('./diff'), require('./size'), require('./format'),
+      require('./assets'), require('./mime'), require('./text'), require('./hotspots'));
+  } else {
+    root.CleanSend = root.CleanSend || {};
+    root.CleanSend.transform = factory(root.CleanSend.dom, root.CleanSend.style, root.CleanSend.document,
+      root.CleanSend.links, root.CleanSend.mergeTags, root.CleanSend.profiles, root.CleanSend.diff,
+      root.CleanSend.size, root.CleanSend.format, root.CleanSend.assets, root.CleanSend.mime, root.CleanSend.text,
+      root.CleanSend.hotspots);
+  }
+})(typeof self !== 'undefined' ? self : this, function (dom, style, emailDocument, linkRules, mergeTags, profiles, treeDiff,
+  sizeBudget, outputFormat, imageAssets, mime, plainText, sliceHotspots) {
+  'use strict';
+
+  // ==========================================================================
+  // CONSTANTS
+  // ==========================================================================
+
+  const CONSTANTS = {
+    // Used when no width is given and the source table has no pixel width
+    DEFAULT_WIDTH: 700,
+    TABLE_STYLE: 'mso-table-lspace:0pt;mso-table-rspace:0pt;border-collapse:collapse;',
+    TD_STYLE: 'font-size:0;line-height:0;padding:0;mso-line-height-rule:exactly;',
+    IMG_STYLE: 'display:block;line-height:0;font-size:0;max-width:100%;border:0;outline:none;text-decoration:none;',
+    IMG_STYLE_RESPONSIVE: 'display:block;line-height:0;font-size:0;max-width:100%;height:auto;border:0;outline:none;text-decoration:none;',
+    PREHEADER_STYLE: 'display:none;max-height:0;overflow:hidden;mso-hide:all;font-size:1px;line-height:1px;',
+    FOOTER_STYLE: 'padding:20px 10px;font-family:Arial,Helvetica,sans-serif;font-size:12px;line-height:18px;color:#666666;text-align:center;',
+    FOOTER_LINK_STYLE: 'color:#666666;text-decoration:underline;',
+    LINK_STYLE: 'border:0;text-decoration:none;',
+    SPACER_STYLE: 'display:block;border:0;outline:none;',
+    // min-width given to the outer table (capped at the email width)
+    MIN_TABLE_WIDTH: 400,
+    // Images narrower than this keep their pixel width in responsive mode
+    MIN_FLUID_IMAGE_WIDTH: 150,
+    // Slice file name words that say nothing about the image
+    // Longer single words are usually run-together handles or IDs
+    MAX_ALT_WORD_LENGTH: 12,
+    GENERIC_FILE_WORDS: ['index', 'image', 'images', 'img', 'slice', 'slices', 'untitled', 'layer', 'copy', 'email'],
+  };
+
+  // How slice images reach the reader: linked under the base image URL,
+  // inlined as data: URIs, or attached to a MIME message and referenced by cid:
+  const EMBED_MODES = ['none', 'data', 'cid'];
+
+  const DEFAULT_OPTIONS = {
+    imageUrl: '',
+    description: '',
+    campaignSource: '',
+    campaignMedium: '',
+    campaignName: '',
+    campaignContent: '',
+    campaignTerm: '',
+    autoContent: false,
+    utmParams: {},
+    links: {},
+    isResponsive: false,
+    width: null,
+    retina: false,
+    spacerCells: false,
+    altText: {},
+    hotspots: {},
+    profile: '',
+    platform: '',
+    footer: false,
+    footerAddress: '',
+    output: 'fragment',
+    format: 'none',
+    assets: null,
+    embed: 'none',
+    // Largest image (bytes) inlined as a data: URI
+    embedLimit: 8 * 1024,
+    steps: {},
+    diff: false,
+    size: false,
+    text: false,
+  };
+
+  // ==========================================================================
+  // HELPERS
+  // ==========================================================================
+
+  /**
+   * Set presentation-table attributes, keeping id, bgcolor, background etc.
+   * @param {Element} table - Table element
+   * @param {string} width - width attribute value
+   */
+  function setTableAttributes(table, width) {
+    table.setAttribute('role', 'presentation');
+    table.setAttribute('align', 'center');
+    table.setAttribute('width', width);
+    table.setAttribute('border', '0');
+    table.setAttribute('cellpadding', '0');
+    table.setAttribute('cellspacing', '0');
+  }
+
+  /**
+   * Prefix a relative image path with the base image URL
+   * @param {string} imageUrl - Base image URL
+   * @param {string} src - Source path from the image
+   * @returns {string}
+   */
+  function rebaseImageUrl(imageUrl, src) {
+    if (!imageUrl || /^(https?:|data:|cid:)/i.test(src) || src.startsWith('//')) return src;
+    return `${imageUrl.replace(/\/+$/, '')}/${src.replace(/^\/+/, '')}`;
+  }
+
+  /**
+   * How a slice image is embedded: 'cid', 'data' (when it is within the
+   * limit) or null when it is linked
+   * @param {{data: Uint8Array}} asset - Slice image
+   * @param {Object} options - Resolved transformation options
+   * @returns {?string}
+   */
+  function embedMode(asset, options) {
+    if (options.embed === 'cid') return 'cid';
+    if (options.embed === 'data' && asset.data.length <= options.embedLimit) return 'data';
+    return null;
+  }
+
+  /**
+   * Path to upload an image under: the renamed slice file when images were
+   * given (options.assets) and one matches its source src, else the src.
+   * Embedded images get their data: URI or cid: reference instead
+   * @param {Element} element - Image, or element with a background attribute
+   * @param {string} attribute - 'src' or 'background'
+   * @param {Object} options - Resolved transformation options
+   * @param {string} [description] - Alt text the file name is made from
+   * @returns {string}
+   */
+  function assetPath(element, attribute, options, description) {
+    const value = element.getAttribute(attribute);
+    if (!options.assets) return value;
+    const source = attribute === 'src' && options.imageSources.has(element) ? options.imageSources.get(element) : value;
+    const asset = imageAssets.matchAsset(options.mergeTags.restore(source), options.assets);
+    if (!asset) return value;
+    // A file keeps the name it was first given, wherever else it is used
+    if (!options.assetNames.has(asset)) {
+      options.assetNames.set(asset, imageAssets.assetName(asset, options.mergeTags.restore(description || '')));
+    }
+    const name = options.assetNames.get(asset);
+    const embed = embedMode(asset, options);
+    if (embed === 'data') return mime.dataUri(asset);
+    if (embed === 'cid') return `cid:${mime.contentId(name)}`;
+    return name;
+  }
+
+  /**
+   * Rows that belong to a table itself (not to tables nested inside it)
+   * @param {Element} table - Table element
+   * @returns {Element[]}
+   */
+  function ownRows(table) {
+    return table.getElementsByTagName('tr').filter((tr) => tr.closest('table') === table);
+  }
+
+  /**
+   * Cells that belong to a row itself (not to tables nested inside it)
+   * @param {Element} row - Row element
+   * @returns {Element[]}
+   */
+  function ownCells(row) {
+    return row.elementChildren.filter((child) => child.tagName === 'td' || child.tagName === 'th');
+  }
+
+  /**
+   * The element that rows of a table are inserted into (tbody if present)
+   * @param {Element} table - Table element
+   * @returns {Element}
+   */
+  function rowContainer(table) {
+    const group = table.elementChildren.find((child) => ['thead', 'tbody'].includes(child.tagName));
+    return group || table;
+  }
+
+  /**
+   * Number of columns a table's widest row spans
+   * @param {Element} table - Table element
+   * @returns {number}
+   */
+  function columnCount(table) {
+    let maxCols = 1;
+    ownRows(table).forEach((tr) => {
+      const cols = ownCells(tr)
+        .reduce((sum, td) => sum + (parseInt(td.getAttribute('colspan') || '1', 10) || 1), 0);
+      if (cols > maxCols) maxCols = cols;
+    });
+    return maxCols;
+  }
+
+  /**
+   * Whether an image is a Photoshop spacer (1px high or named spacer.*)
+   * @param {Element} img - Image element
+   * @returns {boolean}
+   */
+  function isSpacerImage(img) {
+    const file = (img.getAttribute('src') || '').split(/[?#]/)[0].split('/').pop();
+    return /^spacer\b/i.test(file) || parsePixels(img.getAttribute('height')) === 1;
+  }
+
+  /**
+   * Whether a row is the column-defining spacer row: every cell holds only
+   * spacer images, or is an empty 1px-high cell that replaced one
+   * @param {Element} row - Row element
+   * @returns {boolean}
+   */
+  function isSpacerRow(row) {
+    const cells = ownCells(row);
+    return cells.length > 0 && cells.every((cell) => {
+      const content = cell.children.filter((child) => child.type !== 'comment' &&
+        !(child.type === 'text' && !child.value.trim()));
+      if (!content.length) return parsePixels(cell.getAttribute('height')) === 1;
+      return content.every((child) => child.type === 'element' && child.tagName === 'img' && isSpacerImage(child));
+    });
+  }
+
+  /**
+   * Parse a plain pixel length attribute ("600" or "600px")
+   * @param {?string} value - Attribute value
+   * @returns {?number} - Pixels, or null for blank, percentage or invalid values
+   */
+  function parsePixels(value) {
+    if (!value || !/^\s*\d+\s*(px)?\s*$/i.test(value)) return null;
+    const pixels = parseInt(value, 10);
+    return pixels > 0 ? pixels : null;
+  }
+
+  /**
+   * The `options.links` entry for a link, looked up by its href in the source
+   * @param {Element} a - Link element
+   * @param {Object} options - Resolved transformation options
+   * @returns {{href: ?string, exclude: ?boolean, params: ?Object<string, string>}}
+   */
+  function linkOverride(a, options) {
+    const key = options.linkSources && options.linkSources.has(a)
+      ? options.linkSources.get(a)
+      : a.getAttribute('href') || '';
+    return (options.links || {})[key] || {};
+  }
+
+  /**
+   * Swap merge tags in a value set by a step for the run's placeholders, so
+   * they come back untouched after serialization
+   * @param {Object} options - Resolved transformation options
+   * @param {string} value - Value that may hold merge tags
+   * @returns {string}
+   */
+  function protectTags(options, value) {
+    return options.mergeTags ? options.mergeTags.protect(value) : value;
+  }
+
+  /**
+   * Turn a URL slug or file name into alt text words, or null when it looks
+   * machine-generated (IDs, hashes, one long run-together handle)
+   * @param {string} name - Slug or file name without extension
+   * @param {string[]} ignore - Lowercase words to drop
+   * @returns {?string} - e.g. "erin-glen-community" -> "Erin glen community"
+   */
+  function describeName(name, ignore) {
+    const tokens = name.split(/[-_+.\s]+/).filter(Boolean);
+    if (tokens.some((token) => /\d/.test(token) && /[a-z]/i.test(token))) return null;
+    const words = tokens.filter((token) => /^[a-z]+$/i.test(token) && !ignore.includes(token.toLowerCase()));
+    if (!words.length || words.join('').length < 3) return null;
+    if (words.length === 1 && words[0].length > CONSTANTS.MAX_ALT_WORD_LENGTH) return null;
+    const text = words.join(' ').toLowerCase();
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  }
+
+  /**
+   * Alt text suggested by the link around an image: its last path segment
+   * as words, else "Visit <domain>"
+   * @param {?string} href - Link href
+   * @returns {?string}
+   */
+  function altFromLink(href) {
+    const match = /^https?:\/\/(?:www\.)?([^/?#:]+)[^/?#]*([^?#]*)/i.exec(href || '');
+    if (!match) return null;
+    let segment = match[2].split('/').filter(Boolean).pop() || '';
+    try {
+      segment = decodeURIComponent(segment);
+    } catch (error) {
+      // Keep malformed escapes as they are
+    }
+    return describeName(segment.replace(/\.[a-z0-9]+$/i, ''), ['index', 'home', 'default']) ||
+      `Visit ${match[1].toLowerCase()}`;
+  }
+
+  /**
+   * Alt text suggested by an image's file name, ignoring Photoshop's slice
+   * numbering ("hero-banner@2x_01.jpg" -> "Hero banner")
+   * @param {?string} src - Image src
+   * @returns {?string} - Null when the name has no descriptive words
+   */
+  function altFromFilename(src) {
+    const file = (src || '').split(/[?#]/)[0].split('/').pop();
+    return describeName(file.replace(/\.[a-z0-9]+$/i, '').replace(/@\dx/gi, ''), CONSTANTS.GENERIC_FILE_WORDS);
+  }
+
+  /**
+   * Work out the email width and whether the slices are @2x exports.
+   * Width is the explicit option, else the source table's pixel width (halved
+   * for @2x), else the default. Slices count as @2x when the retina option is
+   * set or when the source table is exactly twice the requested width.
+   * @param {Fragment} tree - Parsed document (before any step has run)
+   * @param {Object} options - Transformation options
+   * @returns {{width: number, retina: boolean}}
+   */
+  function resolveLayout(tree, options) {
+    const firstTable = tree.getElementsByTagName('table')[0];
+    const sourceWidth = firstTable ? parsePixels(firstTable.getAttribute('width')) : null;
+    const requested = parseInt(options.width, 10) > 0 ? parseInt(options.width, 10) : null;
+    const retina = !!options.retina || (!!requested && sourceWidth === requested * 2);
+
+    let width = requested;
+    if (!width && sourceWidth) width = retina ? Math.round(sourceWidth / 2) : sourceWidth;
+    return { width: width || CONSTANTS.DEFAULT_WIDTH, retina };
+  }
+
+  /**
+   * Create a presentation table for a wrapped row
+   * @param {Object} options - Resolved transformation options
+   * @returns {Element}
+   */
+  function createNestedTable(options) {
+    const table = new dom.Element('table');
+    setTableAttributes(table, options.isResponsive ? '100%' : String(options.width));
+    table.setAttribute('style', CONSTANTS.TABLE_STYLE);
+    return table;
+  }
+
+  // ==========================================================================
+  // TRANSFORMATION STEPS
+  // Each step edits the tree in place and returns how many elements it touched.
+  // ==========================================================================
+
+  /**
+   * Remove the markup the export profile's ESP rejects on import: unsafe
+   * elements, event handlers and other platforms' template markup
+   * @param {Fragment} tree - Parsed document
+   * @param {Object} options - Resolved transformation options
+   * @returns {number}
+   */
+  function sanitizeMarkup(tree, options) {
+    const profile = profiles.getProfile(options.profile);
+    if (!profile) return 0;
+    const { elements, unwrap, attributes } = profile.sanitize;
+
+    let count = 0;
+    tree.getElementsByTagName('*').forEach((element) => {
+      if (elements.includes(element.tagName)) {
+        element.remove();
+        count++;
+        return;
+      }
+      const rejected = element.attributes.filter((attr) => profiles.matchesRule(attributes, attr.name));
+      rejected.forEach((attr) => element.removeAttribute(attr.name));
+      if (unwrap.includes(element.tagName)) {
+        element.children.slice().forEach((child) => element.parent.insertBefore(child, element));
+        element.remove();
+      }
+      if (rejected.length || unwrap.includes(element.tagName)) count++;
+    });
+    return count;
+  }
+
+  /**
+   * Halve the pixel width/height attributes of images and cells for @2x
+   * exports so they display at the intended size
+   * @param {Fragment} tree - Parsed document
+   * @param {Object} options - Resolved transformation options
+   * @returns {number}
+   */
+  function halveRetinaSizes(tree, options) {
+    if (!options.retina) return 0;
+
+    let count = 0;
+    tree.getElementsByTagName('*').forEach((element) => {
+      if (!['img', 'td', 'th'].includes(element.tagName)) return;
+      let touched = false;
+      ['width', 'height'].forEach((name) => {
+        const pixels = parsePixels(element.getAttribute(name));
+        if (!pixels) return;
+        element.setAttribute(name, String(Math.max(1, Math.round(pixels / 2))));
+        touched = true;
+      });
+      if (touched) count++;
+    });
+    return count;
+  }
+
+  /**
+   * Turn every table into a centred presentation table of fixed or fluid
+   * width, dropping its height
+   * @param {Fragment} tree - Parsed document
+   * @param {Object} options - Resolved transformation options
+   * @returns {number}
+   */
+  function normalizeTables(tree, options) {
+    const width = options.isResponsive ? '100%' : String(options.width);
+    const tableStyle = options.isResponsive
+      ? `${CONSTANTS.TABLE_STYLE}max-width:${options.width}px;`
+      : CONSTANTS.TABLE_STYLE;
+
+    const tables = tree.getElementsByTagName('table');
+    tables.forEach((table) => {
+      table.removeAttribute('height');
+      setTableAttributes(table, width);
+      style.mergeStyle(table, tableStyle, { override: true });
+    });
+    return tables.length;
+  }
+
+  /**
+   * Give the outer table a minimum width so fluid layouts don't collapse on
+   * narrow clients
+   * @param {Fragment} tree - Parsed document
+   * @param {Object} options - Resolved transformation options
+   * @returns {number}
+   */
+  function addMinWidth(tree, options) {
+    const firstTable = tree.getElementsByTagName('table')[0];
+    if (!firstTable) return 0;
+    const minWidth = Math.min(CONSTANTS.MIN_TABLE_WIDTH, options.width);
+    style.appendStyle(firstTable, `min-width:${minWidth}px;`);
+    return 1;
+  }
+
+  /**
+   * Wrap the outer table in <center> for clients that ignore align="center"
+   * @param {Fragment} tree - Parsed document
+   * @returns {number}
+   */
+  function wrapInCenter(tree) {
+    const firstTable = tree.getElementsByTagName('table')[0];
+    if (!firstTable || firstTable.parent.tagName === 'center') return 0;
+    const center = new dom.Element('center');
+    firstTable.replaceWith(center);
+    center.appendChild(firstTable);
+    return 1;
+  }
+
+  /**
+   * Replace each slice that has hotspots (keyed by the source src) with a
+   * table of its pieces: one row per band, bands of several pieces in a
+   * nested table of their own, and each hotspot's pieces linked to its URL.
+   * Other pieces keep the slice's link and alt text. The tables take the
+   * slice's width and are left alone by the multi-column row step. A link
+   * holding more than the slice is split around the table, so its other
+   * content stays linked without nesting links.
+   * @param {Fragment} tree - Parsed document
+   * @param {Object} options - Resolved transformation options
+   * @returns {number}
+   */
+  function splitHotspots(tree, options) {
+    const entries = options.hotspots || {};
+    if (!Object.keys(entries).length) return 0;
+    const tableStyle = (width) => (options.isResponsive
+      ? `${CONSTANTS.TABLE_STYLE}max-width:${width}px;`
+      : CONSTANTS.TABLE_STYLE);
+    const createTable = (width) => {
+      const table = new dom.Element('table');
+      setTableAttributes(table, options.isResponsive ? '100%' : String(width));
+      table.setAttribute('style', tableStyle(width));
+      options.hotspotTables.add(table);
+      return table;
+    };
+
+    let count = 0;
+    tree.getElementsByTagName('img').forEach((img) => {
+      const source = options.imageSources.get(img);
+      const hotspots = (source && entries[source]) || [];
+      const width = parsePixels(img.getAttribute('width'));
+      const height = parsePixels(img.getAttribute('height'));
+      if (!hotspots.length || !width || !height || isSpacerImage(img)) return;
+
+      const altEntry = (options.altText || {})[source];
+      const sliceAlt = (altEntry || '').trim() ? protectTags(options, altEntry.trim()) : img.getAttribute('alt');
+      const link = img.parent && img.parent.type === 'element' && img.parent.tagName === 'a' ? img.parent : null;
+      const table = createTable(width);
+      let index = 0;
+      sliceHotspots.sliceGrid(width, height, hotspots).forEach((band) => {
+        const cells = band.pieces.map((piece) => {
+          const hotspot = piece.hotspot === null ? null : hotspots[piece.hotspot];
+          const pieceImg = img.cloneNode(false);
+          const src = sliceHotspots.piecePath(img.getAttribute('src') || '', index);
+          pieceImg.setAttribute('src', src);
+          pieceImg.setAttribute('width', String(piece.width));
+          pieceImg.setAttribute('height', String(band.height));
+          const alt = hotspot && (hotspot.alt || '').trim() ? protectTags(options, hotspot.alt.trim()) : sliceAlt;
+          if (alt === null) pieceImg.removeAttribute('alt');
+          else pieceImg.setAttribute('alt', alt);
+          options.imageSources.set(pieceImg, sliceHotspots.piecePath(source, index));
+          options.sliceParents.set(pieceImg, source);
+          index++;
+
+          let content = pieceImg;
+          if (hotspot && (hotspot.href || '').trim()) {
+            content = new dom.Element('a', [{ name: 'href', value: protectTags(options, hotspot.href.trim()) }]);
+            options.linkSources.set(content, hotspot.href.trim());
+          } else if (link) {
+            content = link.cloneNode(false);
+            options.linkSources.set(content, options.linkSources.get(link));
+          }
+          if (content !== pieceImg) content.appendChild(pieceImg);
+          const cell = new dom.Element('td');
+          // Columns keep their share of the slice when images go fluid
+          if (band.pieces.length > 1) {
+            const share = `${Math.round((piece.width / width) * 10000) / 100}%`;
+            cell.setAttribute('width', options.isResponsive ? share : String(piece.width));
+          }
+          cell.appendChild(content);
+          return cell;
+        });
+
+        const row = new dom.Element('tr');
+        if (cells.length === 1) {
+          row.appendChild(cells[0]);
+        } else {
+          const bandTable = createTable(width);
+          const bandRow = new dom.Element('tr');
+          cells.forEach((cell) => bandRow.appendChild(cell));
+          bandTable.appendChild(bandRow);
+          const cell = new dom.Element('td');
+          cell.appendChild(bandTable);
+          row.appendChild(cell);
+        }
+        table.appendChild(row);
+      });
+      const isBlank = (node) => node.type === 'text' && !node.value.trim();
+      if (!link || link.children.every((child) => child === img || isBlank(child))) {
+        (link || img).replaceWith(table);
+      } else {
+        const before = link.cloneNode(false);
+        options.linkSources.set(before, options.linkSources.get(link));
+        while (link.children[0] !== img) before.appendChild(link.children[0]);
+        if (!before.children.every(isBlank)) link.parent.insertBefore(before, link);
+        link.parent.insertBefore(table, link);
+        img.remove();
+        if (link.children.every(isBlank)) link.remove();
+      }
+      count++;
+    });
+    return count;
+  }
+
+  /**
+   * Zero every cell's font size, line height and padding and default valign
+   * to top (declarations already on the cell win)
+   * @param {Fragment} tree - Parsed document
+   * @returns {number}
+   */
+  function applyCellStyles(tree) {
+    const cells = tree.getElementsByTagName('td');
+    cells.forEach((td) => {
+      style.mergeStyle(td, CONSTANTS.TD_STYLE);
+      if (!td.hasAttribute('valign')) td.setAttribute('valign', 'top');
+    });
+    return cells.length;
+  }
+
+  /**
+   * Mirror each cell's valign in a vertical-align declaration
+   * @param {Fragment} tree - Parsed document
+   * @returns {number}
+   */
+  function addVerticalAlign(tree) {
+    const cells = tree.getElementsByTagName('td');
+    cells.forEach((td) => {
+      style.appendStyle(td, `vertical-align:${td.getAttribute('valign') || 'top'};`);
+    });
+    return cells.length;
+  }
+
+  /**
+   * Keep spacer GIFs at their exact pixel size so they still define the
+   * column grid: rebase src, mark them decorative, and optionally swap each
+   * for an empty cell that holds the same width
+   * @param {Fragment} tree - Parsed document
+   * @param {Object} options - Resolved transformation options
+   * @returns {number}
+   */
+  function preserveSpacers(tree, options) {
+    const spacers = tree.getElementsByTagName('img').filter(isSpacerImage);
+    spacers.forEach((img) => {
+      const cell = img.parent && img.parent.type === 'element' && img.parent.tagName === 'td' ? img.parent : null;
+      const onlyChild = cell && cell.elementChildren.length === 1;
+
+      if (options.spacerCells && onlyChild) {
+        const width = parsePixels(img.getAttribute('width'));
+        if (width) cell.setAttribute('width', String(width));
+        cell.setAttribute('height', img.getAttribute('height') || '1');
+        style.mergeStyle(cell, `height:${cell.getAttribute('height')}px;`);
+        cell.children.slice().forEach((child) => child.remove());
+        return;
+      }
+
+      if (img.hasAttribute('src')) {
+        img.setAttribute('src', rebaseImageUrl(options.imageUrl, assetPath(img, 'src', options, 'spacer')));
+      }
+      img.setAttribute('alt', '');
+      img.setAttribute('border', '0');
+      style.mergeStyle(img, CONSTANTS.SPACER_STYLE);
+    });
+    return spacers.length;
+  }
+
+  /**
+   * Give every content image alt text: editor entries (keyed by the source
+   * src, merge tags and all) win, then alt text already in the source, then the link around the
+   * image or its file name. Spacers stay decorative with alt="".
+   * @param {Fragment} tree - Parsed document
+   * @param {Object} options - Resolved transformation options
+   * @returns {number}
+   */
+  function addAltText(tree, options) {
+    const entries = options.altText || {};
+    let count = 0;
+    tree.getElementsByTagName('img').forEach((img) => {
+      const src = img.getAttribute('src') || '';
+      const key = options.imageSources.has(img) ? options.imageSources.get(img) : src;
+      const current = img.getAttribute('alt');
+      let alt = '';
+      if (!isSpacerImage(img)) {
+        const link = img.closest('a');
+        alt = (entries[key] || '').trim() || (current || '').trim() ||
+          altFromLink(link && link.getAttribute('href')) || altFromFilename(src) || '';
+      }
+      alt = protectTags(options, alt);
+      if (alt !== current) {
+        img.setAttribute('alt', alt);
+        count++;
+      }
+    });
+    return count;
+  }
+
+  /**
+   * Rebase image sources (and table/cell backgrounds), pointing them at the
+   * renamed slice files when images were given, and apply block image
+   * styles and sizing
+   * @param {Fragment} tree - Parsed document
+   * @param {Object} options - Resolved transformation options
+   * @returns {number}
+   */
+  function updateImages(tree, options) {
+    const { imageUrl, isResponsive, width: maxWidth } = options;
+    let count = 0;
+
+    tree.getElementsByTagName('*').forEach((element) => {
+      if (element.hasAttribute('background')) {
+        element.setAttribute('background', rebaseImageUrl(imageUrl, assetPath(element, 'background', options)));
+      }
+    });
+
+    tree.getElementsByTagName('img').forEach((img) => {
+      if (!img.hasAttribute('src') || isSpacerImage(img)) return;
+      img.setAttribute('src', rebaseImageUrl(imageUrl, assetPath(img, 'src', options, img.getAttribute('alt'))));
+      style.mergeStyle(img, isResponsive ? CONSTANTS.IMG_STYLE_RESPONSIVE : CONSTANTS.IMG_STYLE);
+      img.setAttribute('border', '0');
+
+      const width = parseInt(img.getAttribute('width'), 10);
+      if (isResponsive) {
+        if (width >= CONSTANTS.MIN_FLUID_IMAGE_WIDTH) img.setAttribute('width', '100%');
+        img.removeAttribute('height');
+      } else if (width > maxWidth) {
+        img.setAttribute('width', String(maxWidth));
+        img.removeAttribute('height');
+      }
+      count++;
+    });
+    return count;
+  }
+
+  /**
+   * Insert the hidden preview text as the first row of the first table
+   * @param {Fragment} tree - Parsed document
+   * @param {Object} options - Resolved transformation options
+   * @returns {number}
+   */
+  function addPreheaderRow(tree, options) {
+    const { description } = options;
+    const firstTable = tree.getElementsByTagName('table')[0];
+    if (!description || !firstTable) return 0;
+
+    const maxCols = columnCount(firstTable);
+    const cell = new dom.Element('td');
+    if (maxCols > 1) cell.setAttribute('colspan', String(maxCols));
+    cell.setAttribute('style', 'padding:0;font-size:0;line-height:0;mso-line-height-rule:exactly;');
+    const preheader = new dom.Element('div', [{ name: 'style', value: CONSTANTS.PREHEADER_STYLE }]);
+    preheader.appendChild(new dom.Text(dom.escapeText(description)));
+    cell.appendChild(preheader);
+    const row = new dom.Element('tr');
+    row.appendChild(cell);
+
+    const container = rowContainer(firstTable);
+    container.insertBefore(row, container.children[0]);
+    return 1;
+  }
+
+  /**
+   * The platform's footer lines (view in browser, postal address,
+   * unsubscribe and preferences links) as HTML
+   * @param {Object} options - Resolved transformation options
+   * @param {boolean} [forText] - For the plain-text version, which may need
+   *   a different address tag
+   * @returns {string}
+   */
+  function footerHtml(options, forText) {
+    const { footer } = mergeTags.PLATFORMS[options.platform || 'mailchimp'];
+    let address = (forText && footer.textAddress) || footer.address;
+    if (options.footerAddress) address = dom.escapeText(options.footerAddress);
+    return [
+      footer.viewInBrowser,
+      address,
+      [footer.unsubscribe, footer.preferences].filter(Boolean).join(' &middot; '),
+    ].filter(Boolean).join('<br><br>');
+  }
+
+  /**
+   * Append the platform's footer row: view in browser, postal address,
+   * unsubscribe and preferences links. Added whenever the export profile's
+   * required footer elements are missing, even if the footer is off.
+   * @param {Fragment} tree - Parsed document
+   * @param {Object} options - Resolved transformation options
+   * @returns {number}
+   */
+  function addFooterRow(tree, options) {
+    const firstTable = tree.getElementsByTagName('table')[0];
+    if (!firstTable || (!options.footer && !missingFooterElements(tree, options).length)) return 0;
+
+    const cell = new dom.Element('td');
+    const maxCols = columnCount(firstTable);
+    if (maxCols > 1) cell.setAttribute('colspan', String(maxCols));
+    cell.setAttribute('align', 'center');
+    cell.setAttribute('style', CONSTANTS.FOOTER_STYLE);
+    dom.parse(protectTags(options, footerHtml(options))).children.slice()
+      .forEach((child) => cell.appendChild(child));
+    cell.getElementsByTagName('a').forEach((a) => style.mergeStyle(a, CONSTANTS.FOOTER_LINK_STYLE));
+    const row = new dom.Element('tr');
+    row.appendChild(cell);
+
+    rowContainer(firstTable).appendChild(row);
+    return 1;
+  }
+
+  /**
+   * Mark slices and the preview text as editable regions in the profile's
+   * template language
+   * @param {Fragment} tree - Parsed document
+   * @param {Object} options - Resolved transformation options
+   * @returns {number}
+   */
+  function markEditableRegions(tree, options) {
+    const profile = profiles.getProfile(options.profile);
+    if (!profile || !profile.markEditable) return 0;
+    const images = tree.getElementsByTagName('img').filter((img) => !isSpacerImage(img));
+    const preheader = tree.getElementsByTagName('div')
+      .find((div) => style.parseStyle(div.getAttribute('style')).get('mso-hide') === 'all') || null;
+    return profile.markEditable({ images, preheader });
+  }
+
+  /**
+   * Move multi-column rows into their own nested table so each row sizes
+   * independently (skipped for tables that use rowspan or colspan)
+   * @param {Fragment} tree - Parsed document
+   * @param {Object} options - Resolved transformation options
+   * @returns {number}
+   */
+  function wrapMultiColumnRows(tree, options) {
+    let count = 0;
+    tree.getElementsByTagName('table').forEach((table) => {
+      if (options.hotspotTables.has(table)) return;
+      const hasRowspan = table.getElementsByTagName('td').some((td) => td.hasAttribute('rowspan'));
+      if (hasRowspan) return;
+
+      ownRows(table).forEach((row) => {
+        const columns = ownCells(row);
+        if (columns.length <= 1 || columns.some((td) => td.hasAttribute('colspan'))) return;
+        // The spacer row sets the column widths for the whole table
+        if (isSpacerRow(row)) return;
+
+        const nestedTable = createNestedTable(options);
+        const cell = new dom.Element('td', [
+          { name: 'valign', value: 'top' },
+          { name: 'style', value: CONSTANTS.TD_STYLE },
+        ]);
+        const innerRow = row.cloneNode(false);
+        row.children.slice().forEach((child) => innerRow.appendChild(child));
+        nestedTable.appendChild(innerRow);
+        cell.appendChild(nestedTable);
+        row.appendChild(cell);
+        count++;
+      });
+    });
+    return count;
+  }
+
+  /**
+   * Make every link borderless and undecorated (declarations already on the
+   * link win)
+   * @param {Fragment} tree - Parsed document
+   * @returns {number}
+   */
+  function styleLinks(tree) {
+    const links = tree.getElementsByTagName('a');
+    links.forEach((a) => style.mergeStyle(a, CONSTANTS.LINK_STYLE));
+    return links.length;
+  }
+
+  /**
+   * Replace hrefs edited in the link list
+   * @param {Fragment} tree - Parsed document
+   * @param {Object} options - Resolved transformation options
+   * @returns {number}
+   */
+  function editLinkUrls(tree, options) {
+    let count = 0;
+    tree.getElementsByTagName('a').forEach((a) => {
+      const { href } = linkOverride(a, options);
+      if (typeof href !== 'string' || !href.trim()) return;
+      const replacement = protectTags(options, href.trim());
+      if (replacement === a.getAttribute('href')) return;
+      a.setAttribute('href', replacement);
+      count++;
+    });
+    return count;
+  }
+
+  /**
+   * Automatic utm_content for a link: the file name of the slice it wraps
+   * ("index_2_05"), else its position among the email's links ("link-3")
+   * @param {Element} a - Link element
+   * @param {number} position - 1-based position of the link
+   * @returns {string}
+   */
+  function autoContentFor(a, position) {
+    const img = a.getElementsByTagName('img').find((image) => !isSpacerImage(image) && image.getAttribute('src'));
+    if (img) {
+      const file = img.getAttribute('src').split(/[?#]/)[0].split('/').pop().replace(/\.[a-z0-9]+$/i, '');
+      const slug = file.toLowerCase().replace(/[^a-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '');
+      if (slug) return slug;
+    }
+    return `link-${position}`;
+  }
+
+  /**
+   * Add the UTM set (source, medium, campaign, content, term) and any extra
+   * query parameters to every web link. `options.links` entries, keyed by
+   * the href in the source, exclude a link or override its parameters; an
+   * empty override value removes that parameter.
+   * @param {Fragment} tree - Parsed document
+   * @param {Object} options - Resolved transformation options
+   * @returns {number}
+   */
+  function addUTMParameters(tree, options) {
+    const shared = {
+      utm_source: options.campaignSource,
+      utm_medium: options.campaignMedium,
+      utm_campaign: options.campaignName,
+      utm_content: options.autoContent ? '' : options.campaignContent,
+      utm_term: options.campaignTerm,
+      ...options.utmParams,
+    };
+    const hasShared = options.autoContent || Object.values(shared).some(Boolean);
+    if (!hasShared && !Object.keys(options.links || {}).length) return 0;
+
+    let count = 0;
+    let position = 0;
+    tree.getElementsByTagName('a').forEach((a) => {
+      const href = a.getAttribute('href');
+      // Merge tags such as *|ARCHIVE|* become URLs only when the ESP sends
+      if (!linkRules.isTrackable(href) || (options.mergeTags && options.mergeTags.isTag(href))) return;
+      position++;
+      const override = linkOverride(a, options);
+      if (override.exclude) return;
+
+      const params = { ...shared };
+      if (options.autoContent) params.utm_content = autoContentFor(a, position);
+      Object.assign(params, override.params);
+      if (!Object.values(params).some(Boolean)) return;
+
+      try {
+        // Relative hrefs are parsed against a placeholder origin that is stripped again
+        const isRelative = !/^([a-z][a-z0-9+.-]*:|\/\/)/i.test(href);
+        const url = new URL(href, 'https://example.com');
+        Object.entries(params).forEach(([name, value]) => {
+          if (value) url.searchParams.set(name, protectTags(options, value));
+          else if (override.params && name in override.params) url.searchParams.delete(name);
+        });
+        a.setAttribute('href', isRelative ? url.toString().replace(/^https:\/\/example\.com/, '') : url.toString());
+        count++;
+      } catch {
+        // Leave hrefs the URL parser rejects untouched
+      }
+    });
+    return count;
+  }
+
+  /**
+   * Drop style attributes that ended up empty
+   * @param {Fragment} tree - Parsed document
+   * @returns {number}
+   */
+  function removeEmptyStyles(tree) {
+    let count = 0;
+    tree.getElementsByTagName('*').forEach((element) => {
+      if (element.hasAttribute('style') && !element.getAttribute('style').trim()) {
+        element.removeAttribute('style');
+        count++;
+      }
+    });
+    return count;
+  }
+
+  // ==========================================================================
+  // CHECKLIST VERIFICATION
+  // Each check looks at the finished tree, so an item passes even when the
+  // source already satisfied it and its step was switched off.
+  // ==========================================================================
+
+  const hasDeclaration = (element, property) => style.parseStyle(element.getAttribute('style')).has(property);
+
+  const isAbsoluteUrl = (url) => /^(https?:|data:|cid:)/i.test(url) || url.startsWith('//');
+
+  /**
+   * List every image with its alt text, flagging content images with no alt
+   * text, different images that share the same alt text and call-to-action
+   * slices with no link
+   * @param {Fragment} tree - Finished tree
+   * @param {Map<Element, string>} [sources] - Image -> src in the source, used
+   *   as the key for alt text entries (defaults to the current src)
+   * @returns {Array<{key: string, src: string, alt: string, spacer: boolean,
+   *   missing: boolean, duplicate: boolean, unlinked: boolean}>}
+   */
+  function auditImages(tree, sources = new Map()) {
+    const images = tree.getElementsByTagName('img').map((img) => {
+      const src = img.getAttribute('src') || '';
+      const spacer = isSpacerImage(img);
+      const alt = (img.getAttribute('alt') || '').trim();
+      const key = sources.get(img) || src;
+      // Unlinked slices named or described like a call to action
+      const unlinked = !spacer && !img.closest('a') && linkRules.looksClickable(key, alt);
+      return { key, src, alt, spacer, missing: !spacer && !alt, duplicate: false, unlinked };
+    });
+
+    // The same file may repeat with the same alt; different files may not
+    const keysByAlt = new Map();
+    images.forEach((image) => {
+      if (image.spacer || !image.alt) return;
+      const alt = image.alt.toLowerCase();
+      if (!keysByAlt.has(alt)) keysByAlt.set(alt, new Set());
+      keysByAlt.get(alt).add(image.key);
+    });
+    images.forEach((image) => {
+      const keys = keysByAlt.get(image.alt.toLowerCase());
+      image.duplicate = !image.spacer && !!keys && keys.size > 1;
+    });
+
+    return images;
+  }
+
+  /**
+   * List every link with its final href, UTM result, slice thumbnail and
+   * problems ('empty', 'malformed', 'insecure')
+   * @param {Fragment} tree - Finished tree
+   * @param {Map<Element, string>} sources - Link -> href in the source, the
+   *   key for `options.links` entries
+   * @param {Object} options - Resolved transformation options
+   * @returns {Array<{key: string, href: string, text: string, image: ?string,
+   *   tracked: boolean, excluded: boolean, edited: boolean,
+   *   utm: Object<string, string>, issues: string[]}>}
+   */
+  function auditLinks(tree, sources, options) {
+    return tree.getElementsByTagName('a').map((a) => {
+      const href = a.getAttribute('href') || '';
+      const override = linkOverride(a, options);
+      const img = a.getElementsByTagName('img').find((image) => !isSpacerImage(image));
+      return {
+        key: sources.has(a) ? sources.get(a) : href,
+        href,
+        text: a.textContent.replace(/\s+/g, ' ').trim(),
+        image: img ? img.getAttribute('src') : null,
+        tracked: linkRules.isTrackable(href) && !(options.mergeTags && options.mergeTags.isTag(href)),
+        excluded: !!override.exclude,
+        edited: typeof override.href === 'string' && !!override.href.trim(),
+        utm: linkRules.utmParameters(href),
+        issues: linkRules.validateHref(href),
+      };
+    });
+  }
+
+  /**
+   * Footer elements the export profile requires that the email lacks
+   * @param {Fragment} tree - Parsed document
+   * @param {Object} options - Resolved transformation options
+   * @returns {Array<{id: string, label: string}>}
+   */
+  function missingFooterElements(tree, options) {
+    const profile = profiles.getProfile(options.profile);
+    if (!profile) return [];
+    const html = dom.serialize(tree);
+    return profiles.missingRequirements(profile, options.mergeTags ? options.mergeTags.restore(html) : html);
+  }
+
+  /**
+   * Plain-text alternative of the transformed email: the preview text, each
+   * slice's alt text with its tracked link beneath, then the footer. When a
+   * platform (or profile) or the footer row is asked for and the email has
+   * no unsubscribe line, the platform footer is added; with none of them
+   * there is no platform to take merge tags from, so nothing is added.
+   * @param {Fragment} tree - Transformed document
+   * @param {Object} options - Resolved transformation options
+   * @returns {string} - Merge tags restored
+   */
+  function textVersion(tree, options) {
+    const tags = options.mergeTags;
+    const wantsFooter = !!(options.footer || options.platform) &&
+      !/unsubscribe/i.test(tags.restore(plainText.nodeToText(tree)));
+    const footer = !wantsFooter ? '' : plainText.nodeToText(dom.parse(protectTags(options, footerHtml(options, true))));
+    return tags.restore(plainText.nodeToText(tree, { preheader: options.description, footer }));
+  }
+
+  const CHECKS = {
+    tables: (tree) => tree.getElementsByTagName('table').every((table) =>
+      table.getAttribute('role') === 'presentation' &&
+      table.getAttribute('align') === 'center' &&
+      !table.hasAttribute('height')),
+    minWidth: (tree) => {
+      const firstTable = tree.getElementsByTagName('table')[0];
+      return !!firstTable && hasDeclaration(firstTable, 'min-width');
+    },
+    center: (tree) => {
+      const firstTable = tree.getElementsByTagName('table')[0];
+      return !!firstTable && !!firstTable.parent && firstTable.parent.tagName === 'center';
+    },
+    images: (tree, options) => tree.getElementsByTagName('img')
+      .filter((img) => !isSpacerImage(img))
+      .every((img) =>
+        img.getAttribute('border') === '0' &&
+        hasDeclaration(img, 'display') &&
+        (!options.imageUrl || isAbsoluteUrl(img.getAttribute('src') || ''))),
+    alt: (tree) => auditImages(tree).every((image) => !image.missing && !image.duplicate),
+    // Only a checklist item when an export profile is selected
+    footer: (tree, options) => (options.profile ? !missingFooterElements(tree, options).length : null),
+    cells: (tree) => tree.getElementsByTagName('td').every((td) =>
+      td.hasAttribute('valign') && hasDeclaration(td, 'font-size') && hasDeclaration(td, 'line-height')),
+    verticalAlign: (tree) => tree.getElementsByTagName('td').every((td) => hasDeclaration(td, 'vertical-align')),
+    links: (tree) => tree.getElementsByTagName('a').every((a) =>
+      hasDeclaration(a, 'border') && hasDeclaration(a, 'text-decoration')),
+    spacers: (tree, options) => tree.getElementsByTagName('img').filter(isSpacerImage).every((img) =>
+      img.getAttribute('alt') === '' &&
+      (!options.imageUrl || isAbsoluteUrl(img.getAttribute('src') || ''))),
+  };
+
+  // ==========================================================================
+  // PIPELINE
+  // ==========================================================================
+
+  // `section` names the PHOTOSHOP_TO_MAILCHIMP.md checklist heading a step covers
+  const STEPS = [
+    { id: 'retina', label: 'Halve @2x slice sizes', section: null, run: halveRetinaSizes },
+    { id: 'sanitize', label: 'Remove markup the ESP rejects', section: null, run: sanitizeMarkup },
+    { id: 'tables', label: 'Presentation tables (role, align, no height)', section: 'Table', run: normalizeTables },
+    { id: 'minWidth', label: 'min-width on the outer table', section: 'Table', run: addMinWidth },
+    { id: 'center', label: 'Wrap table in <center>', section: 'Table', run: wrapInCenter },
+    { id: 'hotspots', label: 'Split slices at drawn hotspots', section: null, run: splitHotspots },
+    { id: 'spacers', label: 'Keep the spacer GIF row', section: 'Spacer Row', run: preserveSpacers },
+    { id: 'alt', label: 'Descriptive, unique alt text', section: 'Images', run: addAltText },
+    { id: 'images', label: 'Absolute image URLs, border="0", block styles', section: 'Images', run: updateImages },
+    { id: 'preheader', label: 'Hidden preview text', section: null, run: addPreheaderRow },
+    { id: 'rows', label: 'Nest multi-column rows', section: null, run: wrapMultiColumnRows },
+    { id: 'footer', label: 'Platform footer (unsubscribe, address, view in browser)', section: null, run: addFooterRow },
+    { id: 'editable', label: 'Editable regions (mc:edit, editable, <singleline>)', section: null, run: markEditableRegions },
+    { id: 'cells', label: 'valign="top" and zeroed cell styles', section: 'Table Cells', run: applyCellStyles },
+    { id: 'verticalAlign', label: 'vertical-align on cell styles', section: 'Table Cells', run: addVerticalAlign },
+    { id: 'cleanup', label: 'Remove empty style attributes', section: null, run: removeEmptyStyles },
+    { id: 'hrefs', label: 'Edited link URLs', section: null, run: editLinkUrls },
+    { id: 'links', label: 'Borderless, undecorated links', section: 'Links', run: styleLinks },
+    { id: 'utm', label: 'UTM parameters', section: null, run: addUTMParameters },
+  ];
+
+  /**
+   * Run the full transformation pipeline and report on each step
+   * @param {string} html - Original HTML
+   * @param {Object} [options] - Transformation options
+   * @param {string} [options.imageUrl] - Base URL prepended to relative image paths
+   * @param {string} [options.description] - Hidden preview (preheader) text
+   * @param {string} [options.campaignSource] - utm_source value
+   * @param {string} [options.campaignMedium] - utm_medium value
+   * @param {string} [options.campaignName] - utm_campaign value
+   * @param {string} [options.campaignContent] - utm_content value
+   * @param {string} [options.campaignTerm] - utm_term value
+   * @param {boolean} [options.autoContent] - Per-link utm_content from the
+   *   slice file name or link position (replaces campaignContent)
+   * @param {Object<string, string>} [options.utmParams] - Extra query
+   *   parameters added to every link
+   * @param {Object<string, {href: string, exclude: boolean,
+   *   params: Object<string, string>}>} [options.links] - Source href ->
+   *   replacement URL, UTM exclusion or parameter overrides for that link
+   * @param {boolean} [options.isResponsive] - Fluid 100% tables capped by max-width
+   * @param {?(number|string)} [options.width] - Email width in px; blank to
+   *   detect it from the source table
+   * @param {boolean} [options.retina] - Slices were exported at @2x; display
+   *   sizes are halved while src keeps pointing at the full-size files
+   * @param {boolean} [options.spacerCells] - Replace spacer GIFs with empty
+   *   cells that hold the column width
+   * @param {string} [options.profile] - Export profile (see profiles.PROFILES):
+   *   sanitizes for that ESP, marks editable regions, adds any required
+   *   footer elements and sets `platform`
+   * @param {string} [options.platform] - ESP whose merge tags are kept intact
+   *   and whose footer is used (see mergeTags.PLATFORMS); blank recognises
+   *   the Mailchimp, {{ }}/{% %} and <% %> syntaxes
+   * @param {boolean} [options.footer] - Append the platform's footer row
+   * @param {string} [options.footerAddress] - Postal address for the footer,
+   *   instead of the platform's address tag
+   * @param {Object<string, string>} [options.altText] - Image src (as in the
+   *   source) -> alt text from the editor; blank entries fall back to the
+   *   source alt, the link or the file name
+   * @param {Object<string, Array<{x: number, y: number, width: number,
+   *   height: number, href: string, alt: string}>>} [options.hotspots] -
+   *   Image src (as in the source) -> linked areas, as fractions of the
+   *   slice; the slice is cut into pieces named by hotspots.piecePath
+   * @param {string} [options.output] - 'fragment' for the bare body content
+   *   pasted into an ESP editor, or 'document' for a complete HTML email
+   * @param {string} [options.format] - 'none' (as serialized), 'pretty'
+   *   (indented for review) or 'minify' (see format.js)
+   * @param {Array<{path: string, data: Uint8Array, type: string}>} [options.assets] -
+   *   The slice images (see assets.optimizeImages); each image whose source
+   *   src matches one is pointed at a renamed, content-hashed copy under
+   *   the base image URL
+   * @param {string} [options.embed] - 'none' to link slice images, 'data'
+   *   to inline those up to `embedLimit` bytes as data: URIs, or 'cid' to
+   *   reference them all as attachments (see mime.createMessage)
+   * @param {number} [options.embedLimit] - Largest image inlined by 'data'
+   * @param {Object<string, boolean>} [options.steps] - Step id -> false to
+   *   switch a step off (every step runs by default)
+   * @param {boolean} [options.diff] - Record what each step changed
+   * @param {boolean} [options.size] - Measure the output and what each step
+   *   added to it
+   * @param {boolean} [options.text] - Write the plain-text alternative
+   * @returns {{html: string, report: Array<{id: string, label: string,
+   *   section: ?string, enabled: boolean, count: number, passed: ?boolean}>,
+   *   images: Array<Object>, links: Array<Object>,
+   *   changes: ?Array<{id: string, label: string, changes: Array<Object>}>,
+   *   size: ?{source: number, steps: Array<{id: string, label: string, bytes: number}>,
+   *   bytes: number, limit: number, ratio: number, level: string, message: string},
+   *   assets: ?{files: Array<{name: string, path: string, data: Uint8Array, type: string,
+   *   bytes: number, originalBytes: number, embed: ?string}>, missing: string[],
+   *   unused: string[]}, text: ?string}}
+   *   - `passed` is null for steps that are not checklist items; `images` is
+   *   the alt text audit (see auditImages), `links` the link list (see
+   *   auditLinks) and `changes` the per-step diff (see diff.diffSnapshots)
+   *   of the steps that changed anything, or null unless `diff` is set.
+   *   `size` is null unless `size` is set; its `steps` are the bytes each
+   *   enabled step added (negative when it saved some), plus parsing and
+   *   the output wrapper, and the rest is size.clipStatus of the output.
+   *   `assets` is null unless `assets` is given: the renamed files to upload
+   *   (`name`, relative to the base image URL; `embed` is 'data' or 'cid'
+   *   for embedded ones), the relative srcs no image matched, and the paths
+   *   of images the email doesn't use. `text` is null unless `text` is set
+   *   (see textVersion).
+   */
+  function runPipeline(html, options = {}) {
+    if (options.embed !== undefined && !EMBED_MODES.includes(options.embed)) {
+      throw new Error(`Unknown embed mode "${options.embed}" (expected ${EMBED_MODES.join(', ')})`);
+    }
+    sliceHotspots.validateHotspots(options.hotspots);
+    const profile = profiles.getProfile(options.profile);
+    // A profile brings its platform's merge tags and footer
+    const platform = profile ? profile.platform : options.platform;
+    const tags = mergeTags.createMergeTagContext(platform);
+    const tree = dom.parse(tags.protect(html));
+    const sources = new Map(tree.getElementsByTagName('img')
+      .map((img) => [img, tags.restore(img.getAttribute('src') || '')]));
+    const hrefs = new Map(tree.getElementsByTagName('a')
+      .map((a) => [a, tags.restore(a.getAttribute('href') || '')]));
+    const resolved = {
+      ...DEFAULT_OPTIONS,
+      ...options,
+      platform,
+      linkSources: hrefs,
+      imageSources: sources,
+      sliceParents: new Map(),
+      hotspotTables: new Set(),
+      assetNames: new Map(),
+      mergeTags: tags,
+    };
+    Object.assign(resolved, resolveLayout(tree, resolved));
+    const toggles = resolved.steps || {};
+    const changes = resolved.diff ? [] : null;
+    const measure = () => sizeBudget.byteLength(tags.restore(dom.serialize(tree)));
+    const stepSizes = resolved.size ? [] : null;
+    let measured = 0;
+    if (stepSizes) {
+      // Entity and attribute quoting normalisation, so source + steps adds up to the output
+      measured = measure();
+      stepSizes.push({ id: 'parse', label: 'Parsed and re-serialized', bytes: measured - sizeBudget.byteLength(html) });
+    }
+
+    const report = STEPS.map((step) => {
+      const enabled = toggles[step.id] !== false;
+      const before = enabled && changes ? treeDiff.snapshot(tree) : null;
+      const count = enabled ? step.run(tree, resolved) : 0;
+      if (before) {
+        const stepChanges = treeDiff.diffSnapshots(before, treeDiff.snapshot(tree), { restore: tags.restore });
+        if (stepChanges.length) changes.push({ id: step.id, label: step.label, changes: stepChanges });
+      }
+      if (enabled && stepSizes) {
+        const bytes = measure();
+        stepSizes.push({ id: step.id, label: step.label, bytes: bytes - measured });
+        measured = bytes;
+      }
+      return { id: step.id, label: step.label, section: step.section, enabled, count };
+    });
+    report.forEach((entry) => {
+      const check = CHECKS[entry.id];
+      entry.passed = check ? check(tree, resolved) : null;
+    });
+
+    // Hotspot pieces are listed under the slice they were cut from
+    const images = auditImages(tree, new Map([...sources, ...resolved.sliceParents])).map((image) =>
+      ({ ...image, src: tags.restore(image.src), alt: tags.restore(image.alt) }));
+    const links = auditLinks(tree, hrefs, resolved).map((link) => ({
+      ...link,
+      key: tags.restore(link.key),
+      href: tags.restore(link.href),
+      text: tags.restore(link.text),
+      image: link.image && tags.restore(link.image),
+      utm: Object.fromEntries(Object.entries(link.utm).map(([name, value]) => [name, tags.restore(value)])),
+    }));
+
+    let assets = null;
+    if (resolved.assets) {
+      const files = [...resolved.assetNames].map(([asset, name]) => ({
+        name,
+        path: asset.path,
+        data: asset.data,
+        type: asset.type,
+        bytes: asset.data.length,
+        originalBytes: asset.originalBytes === undefined ? asset.data.length : asset.originalBytes,
+        embed: embedMode(asset, resolved),
+      }));
+      const missing = tree.getElementsByTagName('img')
+        .map((img) => sources.get(img) || '')
+        .filter((src) => src && !isAbsoluteUrl(src) && !imageAssets.matchAsset(src, resolved.assets));
+      assets = {
+        files,
+        missing: [...new Set(missing)],
+        unused: resolved.assets.filter((asset) => !resolved.assetNames.has(asset)).map((asset) => asset.path),
+      };
+    }
+
+    const text = resolved.text ? textVersion(tree, resolved) : null;
+
+    let output = tags.restore(outputFormat.formatHtml(emailDocument.renderOutput(tree, resolved.output),
+      resolved.format));
+    if (profile && profile.templateHeader && resolved.output === 'document') {
+      output = `${profile.templateHeader}\n${output}`;
+    }
+
+    let size = null;
+    if (stepSizes) {
+      const bytes = sizeBudget.byteLength(output);
+      let wrapper = resolved.output === 'document' ? 'Email document wrapper' : 'Body content only (fragment)';
+      if (resolved.format !== 'none') wrapper += `, ${resolved.format === 'pretty' ? 'pretty-printed' : 'minified'}`;
+      size = {
+        source: sizeBudget.byteLength(html),
+        steps: [...stepSizes, { id: 'output', label: wrapper, bytes: bytes - measured }],
+        ...sizeBudget.clipStatus(bytes),
+      };
+    }
+
+    return { html: output, report, images, links, changes, size, assets, text };
+  }
+
+  /**
+   * Run the full transformation pipeline
+   * @param {string} html - Original HTML
+   * @param {Object} [options] - Transformation options (see runPipeline)
+   * @returns {string} - Modified HTML
+   */
+  function transform(html, options = {}) {
+    return runPipeline(html, options).html;
+  }
+
+  return {
+    CONSTANTS,
+    DEFAULT_OPTIONS,
+    EMBED_MODES,
+    STEPS,
+    resolveLayout,
+    runPipeline,
+    transform,
+  };
+});
@@ -0,0 +1,217 @@
+/**
+ * Zip archives
+ *
+ * Just enough of the format to read a designer's zipped slice folder
+ * (stored and deflated entries) and write the optimized images back out
+ * for upload. Written archives store their entries uncompressed: JPG, PNG
+ * and GIF data is already compressed.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('zlib'));
+  } else {
+    root.CleanSend = root.CleanSend || {};
+    root.CleanSend.zip = factory(null);
+  }
+})(typeof self !== 'undefined' ? self : this, function (zlib) {
+  'use strict';
+
+  const SIGNATURES = {
+    LOCAL_FILE: 0x04034b50,
+    CENTRAL_DIRECTORY: 0x02014b50,
+    END_OF_CENTRAL_DIRECTORY: 0x06054b50,
+  };
+
+  const METHODS = {
+    STORED: 0,
+    DEFLATED: 8,
+  };
+
+  // General purpose flags
+  const FLAG_ENCRYPTED = 0x0001;
+  const FLAG_UTF8 = 0x0800;
+
+  // End of central directory record without its comment
+  const EOCD_SIZE = 22;
+  const MAX_COMMENT_LENGTH = 0xffff;
+
+  const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      table[n] = c >>> 0;
+    }
+    return table;
+  })();
+
+  const encoder = new TextEncoder();
+  const utf8 = new TextDecoder('utf-8');
+  // Names without the UTF-8 flag are in the DOS code page; non-ASCII names are rare in slice exports
+  const latin1 = new TextDecoder('latin1');
+
+  /**
+   * CRC-32 of some bytes, as zip stores it
+   * @param {Uint8Array} data - Bytes
+   * @returns {number} - Unsigned 32-bit checksum
+   */
+  function crc32(data) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < data.length; i++) crc = CRC_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  /**
+   * Decompress a raw deflate stream
+   * @param {Uint8Array} data - Deflated bytes
+   * @returns {Promise<Uint8Array>}
+   */
+  async function inflateRaw(data) {
+    if (zlib) return new Uint8Array(zlib.inflateRawSync(data));
+    if (typeof DecompressionStream !== 'function') {
+      throw new Error('This browser cannot unpack compressed zip entries');
+    }
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  /**
+   * Find the end of central directory record
+   * @param {DataView} view - Whole archive
+   * @returns {number} - Offset of the record
+   */
+  function findEndOfCentralDirectory(view) {
+    const last = view.byteLength - EOCD_SIZE;
+    const first = Math.max(0, last - MAX_COMMENT_LENGTH);
+    for (let offset = last; offset >= first; offset--) {
+      if (view.getUint32(offset, true) === SIGNATURES.END_OF_CENTRAL_DIRECTORY) return offset;
+    }
+    throw new Error('Not a zip file');
+  }
+
+  /**
+   * List and extract the files of a zip archive (folders are skipped)
+   * @param {Uint8Array|ArrayBuffer} bytes - Archive
+   * @returns {Promise<Array<{name: string, data: Uint8Array}>>} - `name` is
+   *   the path inside the archive, with forward slashes
+   */
+  async function readZip(bytes) {
+    const data = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    const end = findEndOfCentralDirectory(view);
+    const count = view.getUint16(end + 10, true);
+    let offset = view.getUint32(end + 16, true);
+    if (count === 0xffff || offset === 0xffffffff) throw new Error('Zip64 archives are not supported');
+
+    const files = [];
+    for (let i = 0; i < count; i++) {
+      if (view.getUint32(offset, true) !== SIGNATURES.CENTRAL_DIRECTORY) throw new Error('Corrupt zip file');
+      const flags = view.getUint16(offset + 8, true);
+      const method = view.getUint16(offset + 10, true);
+      const expectedCrc = view.getUint32(offset + 16, true);
+      const compressedSize = view.getUint32(offset + 20, true);
+      const nameLength = view.getUint16(offset + 28, true);
+      const extraLength = view.getUint16(offset + 30, true);
+      const commentLength = view.getUint16(offset + 32, true);
+      const localOffset = view.getUint32(offset + 42, true);
+      const rawName = data.subarray(offset + 46, offset + 46 + nameLength);
+      const name = (flags & FLAG_UTF8 ? utf8 : latin1).decode(rawName).replace(/\\/g, '/');
+      offset += 46 + nameLength + extraLength + commentLength;
+
+      if (name.endsWith('/')) continue;
+      if (flags & FLAG_ENCRYPTED) throw new Error(`${name} is encrypted`);
+      if (view.getUint32(localOffset, true) !== SIGNATURES.LOCAL_FILE) throw new Error('Corrupt zip file');
+
+      // The local header's name and extra field lengths can differ from the central directory's
+      const start = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+      const stored = data.subarray(start, start + compressedSize);
+      let content;
+      if (method === METHODS.STORED) content = stored.slice();
+      else if (method === METHODS.DEFLATED) content = await inflateRaw(stored);
+      else throw new Error(`${name} uses an unsupported compression method (${method})`);
+      if (crc32(content) !== expectedCrc) throw new Error(`${name} is damaged (checksum mismatch)`);
+      files.push({ name, data: content });
+    }
+    return files;
+  }
+
+  /**
+   * MS-DOS date and time fields
+   * @param {Date} date - Modification date
+   * @returns {{time: number, date: number}}
+   */
+  function dosDateTime(date) {
+    const year = Math.min(Math.max(date.getFullYear(), 1980), 2107);
+    return {
+      time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+      date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+    };
+  }
+
+  /**
+   * Write a zip archive of uncompressed entries
+   * @param {Array<{name: string, data: Uint8Array|string}>} files - Paths
+   *   inside the archive and their contents (strings are written as UTF-8)
+   * @param {Object} [options]
+   * @param {Date} [options.date] - Modification date of every entry (default now)
+   * @returns {Uint8Array}
+   */
+  function createZip(files, options = {}) {
+    const { time, date } = dosDateTime(options.date || new Date());
+    const entries = files.map((file) => {
+      const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+      return { name: encoder.encode(file.name), data, crc: crc32(data) };
+    });
+
+    const localSize = entries.reduce((sum, entry) => sum + 30 + entry.name.length + entry.data.length, 0);
+    const centralSize = entries.reduce((sum, entry) => sum + 46 + entry.name.length, 0);
+    const output = new Uint8Array(localSize + centralSize + EOCD_SIZE);
+    const view = new DataView(output.buffer);
+
+    // Version needed, flags, method, time, date, CRC and sizes: shared by both headers
+    const writeCommon = (offset, entry) => {
+      view.setUint16(offset, 20, true);
+      view.setUint16(offset + 2, FLAG_UTF8, true);
+      view.setUint16(offset + 4, METHODS.STORED, true);
+      view.setUint16(offset + 6, time, true);
+      view.setUint16(offset + 8, date, true);
+      view.setUint32(offset + 10, entry.crc, true);
+      view.setUint32(offset + 14, entry.data.length, true);
+      view.setUint32(offset + 18, entry.data.length, true);
+      view.setUint16(offset + 22, entry.name.length, true);
+    };
+
+    let offset = 0;
+    entries.forEach((entry) => {
+      entry.offset = offset;
+      view.setUint32(offset, SIGNATURES.LOCAL_FILE, true);
+      writeCommon(offset + 4, entry);
+      output.set(entry.name, offset + 30);
+      output.set(entry.data, offset + 30 + entry.name.length);
+      offset += 30 + entry.name.length + entry.data.length;
+    });
+
+    const centralStart = offset;
+    entries.forEach((entry) => {
+      view.setUint32(offset, SIGNATURES.CENTRAL_DIRECTORY, true);
+      view.setUint16(offset + 4, 20, true);
+      writeCommon(offset + 6, entry);
+      view.setUint32(offset + 42, entry.offset, true);
+      output.set(entry.name, offset + 46);
+      offset += 46 + entry.name.length;
+    });
+
+    view.setUint32(offset, SIGNATURES.END_OF_CENTRAL_DIRECTORY, true);
+    view.setUint16(offset + 8, entries.length, true);
+    view.setUint16(offset + 10, entries.length, true);
+    view.setUint32(offset + 12, offset - centralStart, true);
+    view.setUint32(offset + 16, centralStart, true);
+    return output;
+  }
+
+  return {
+    crc32,
+    readZip,
+    createZip,
+  };
+});
@@ -0,0 +1,123 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { crc32, readZip, createZip } = require('../lib/zip');
+const { slugify, collectImages, optimizeImages, matchAsset, assetName, packageAssets } = require('../lib/assets');
+const { runPipeline } = require('../lib/transform');
+
+const SAMPLE = path.join(__dirname, '..', 'sample_code');
+const readSample = (name) => new Uint8Array(fs.readFileSync(path.join(SAMPLE, name)));
+
+test('computes zip CRC-32 checksums', () => {
+  assert.strictEqual(crc32(new TextEncoder().encode('123456789')), 0xcbf43926);
+});
+
+test('reads back the zips it writes', async () => {
+  const gif = readSample('images/spacer.gif');
+  const bytes = createZip([{ name: 'images/spacer.gif', data: gif }, { name: 'notes/é.txt', data: 'hello' }]);
+  const files = await readZip(bytes);
+  assert.deepStrictEqual(files.map((file) => file.name), ['images/spacer.gif', 'notes/é.txt']);
+  assert.deepStrictEqual(files[0].data, gif);
+  assert.strictEqual(new TextDecoder().decode(files[1].data), 'hello');
+});
+
+test('unpacks deflated zips, keeping only the images', async () => {
+  const zipped = fs.readFileSync(path.join(__dirname, 'fixtures', 'slices.zip'));
+  const images = await collectImages([{ name: 'slices.zip', data: zipped }]);
+  assert.deepStrictEqual(images.map((image) => [image.path, image.type]), [
+    ['slices/images/spacer.gif', 'image/gif'],
+    ['slices/images/index_2_19.jpg', 'image/jpeg'],
+  ]);
+  assert.deepStrictEqual(images[1].data, readSample('images/index_2_19.jpg'));
+});
+
+test('rejects files that are not zips', async () => {
+  await assert.rejects(readZip(new Uint8Array(64)), /Not a zip file/);
+});
+
+test('keeps the smallest encoding, the original included', async () => {
+  const jpeg = { path: 'a.jpg', data: new Uint8Array([0xff, 0xd8, 0xff, 1, 2, 3, 4, 5]), type: 'image/jpeg' };
+  const gif = { path: 'b.gif', data: readSample('images/spacer.gif'), type: 'image/gif' };
+  const encoder = async (file) => [
+    { data: file.data.slice(0, 6), type: 'image/png' },
+    { data: file.data.slice(0, 7), type: 'image/jpeg' },
+  ];
+  const [smaller, untouched] = await optimizeImages([jpeg, gif], { encoder });
+  assert.deepStrictEqual(
+    { type: smaller.type, bytes: smaller.data.length, originalBytes: smaller.originalBytes, optimized: smaller.optimized },
+    { type: 'image/png', bytes: 6, originalBytes: 8, optimized: true }
+  );
+  assert.strictEqual(untouched.data, gif.data);
+  assert.strictEqual(untouched.optimized, false);
+  // Re-encoded but bigger: the original is kept and not counted as optimized
+  const [kept] = await optimizeImages([jpeg], { encoder: async (file) => [{ data: new Uint8Array(20), type: 'image/png' }] });
+  assert.deepStrictEqual({ data: kept.data, type: kept.type, optimized: kept.optimized },
+    { data: jpeg.data, type: 'image/jpeg', optimized: false });
+});
+
+test('leaves images as they are without an encoder', async () => {
+  const [image] = await optimizeImages([{ path: 'a.jpg', data: readSample('images/index_2_19.jpg'), type: 'image/jpeg' }]);
+  assert.strictEqual(image.optimized, false);
+  assert.strictEqual(image.data.length, image.originalBytes);
+});
+
+test('matches srcs to dropped files and names them after their alt text', () => {
+  const assets = [
+    { path: 'export/images/index_2_01.jpg', data: new Uint8Array([1]), type: 'image/jpeg' },
+    { path: 'index_2_02.JPG', data: new Uint8Array([2]), type: 'image/png' },
+  ];
+  assert.strictEqual(matchAsset('images/index_2_01.jpg', assets), assets[0]);
+  assert.strictEqual(matchAsset('./images/index_2_02.jpg?v=2', assets), assets[1]);
+  assert.strictEqual(matchAsset('https://cdn.example.com/index_2_01.jpg', assets), null);
+  assert.strictEqual(slugify('Église: Spring Sale — 50% off!'), 'eglise-spring-sale-50-off');
+  assert.match(assetName(assets[0], 'Spring sale hero'), /^spring-sale-hero-[0-9a-f]{8}\.jpg$/);
+  // Converted images take the extension of their new type
+  assert.match(assetName(assets[1], ''), /^index-2-02-[0-9a-f]{8}\.png$/);
+});
+
+test('points srcs at renamed slices under the base image URL', async () => {
+  const images = await collectImages(['images/index_2_01.jpg', 'images/index_2_19.jpg', 'images/spacer.gif']
+    .map((name) => ({ name: `slices/${name}`, data: readSample(name) })));
+  const html = '<table width="600"><tr><td><img src="images/index_2_01.jpg" alt="Erin Glen community" width="600"></td></tr>' +
+    '<tr><td><img src="images/spacer.gif" width="1" height="1"></td></tr>' +
+    '<tr><td><img src="images/missing.jpg" alt="Footer" width="600"></td></tr></table>';
+  const result = runPipeline(html, { imageUrl: 'https://cdn.example.com/may/', assets: await optimizeImages(images) });
+
+  const names = result.assets.files.map((file) => file.name);
+  assert.match(names[0], /^spacer-[0-9a-f]{8}\.gif$/);
+  assert.match(names[1], /^erin-glen-community-[0-9a-f]{8}\.jpg$/);
+  assert.ok(result.html.includes(`src="https://cdn.example.com/may/${names[1]}"`));
+  assert.ok(result.html.includes('src="https://cdn.example.com/may/images/missing.jpg"'));
+  assert.deepStrictEqual(result.assets.missing, ['images/missing.jpg']);
+  assert.deepStrictEqual(result.assets.unused, ['slices/images/index_2_19.jpg']);
+  // The alt text audit is still keyed by the source src
+  assert.strictEqual(result.images[0].key, 'images/index_2_01.jpg');
+
+  const packaged = await readZip(packageAssets(result.assets.files));
+  assert.deepStrictEqual(packaged.map((file) => file.name), names);
+});
+
+test('inlines small slices as data: URIs and attaches the rest by cid:', async () => {
+  const images = await optimizeImages(await collectImages(['images/index_2_01.jpg', 'images/index_2_19.jpg']
+    .map((name) => ({ name, data: readSample(name) }))));
+  const html = '<table width="600"><tr><td><img src="images/index_2_01.jpg" alt="Hero" width="600"></td></tr>' +
+    '<tr><td><img src="images/index_2_19.jpg" alt="Instagram" width="40"></td></tr></table>';
+  const options = { imageUrl: 'https://cdn.example.com/may/', assets: images, embedLimit: 2 * 1024 };
+
+  const inlined = runPipeline(html, { ...options, embed: 'data' });
+  assert.deepStrictEqual(inlined.assets.files.map((file) => file.embed), [null, 'data']);
+  assert.ok(inlined.html.includes(`src="https://cdn.example.com/may/${inlined.assets.files[0].name}"`));
+  assert.ok(inlined.html.includes('src="data:image/jpeg;base64,/9j/'));
+  // Only the linked image is left to upload
+  assert.deepStrictEqual((await readZip(packageAssets(inlined.assets.files))).map((file) => file.name),
+    [inlined.assets.files[0].name]);
+
+  const attached = runPipeline(html, { ...options, embed: 'cid' });
+  assert.deepStrictEqual(attached.assets.files.map((file) => file.embed), ['cid', 'cid']);
+  assert.ok(attached.html.includes(`src="cid:${attached.assets.files[1].name}@cleansend"`));
+
+  assert.throws(() => runPipeline(html, { embed: 'inline' }), /Unknown embed mode "inline"/);
+});
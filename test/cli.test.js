@@ -0,0 +1,81 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { parseArgs } = require('../bin/cleansend');
+
+const CLI = path.join(__dirname, '..', 'bin', 'cleansend.js');
+const SOURCE = path.join(__dirname, '..', 'sample_code', 'initial.html');
+
+/**
+ * Run the CLI to completion
+ * @param {string[]} args - Command-line arguments
+ * @returns {{status: number, stdout: string, stderr: string}}
+ */
+function run(args) {
+  return spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8', timeout: 60000 });
+}
+
+test('parses flags into transform options', () => {
+  const args = parseArgs(['email.html', '--image-url=https://cdn.example.com/', '--responsive', '--utm-medium', ' email ', '-o', 'out.html']);
+  assert.strictEqual(args.input, 'email.html');
+  assert.strictEqual(args.out, 'out.html');
+  assert.deepStrictEqual(args.options, { imageUrl: 'https://cdn.example.com/', isResponsive: true, campaignMedium: 'email' });
+
+  assert.throws(() => parseArgs(['--nope']), /Unknown option --nope/);
+  assert.throws(() => parseArgs(['a.html', 'b.html']), /Unexpected argument b\.html/);
+  assert.throws(() => parseArgs(['--out']), /Missing value for --out/);
+});
+
+test('parses the output, step and message flags', () => {
+  const args = parseArgs(['email.html', '--width=640', '--retina', '--skip', 'utm,alt', '--subject', ' Spring ']);
+  assert.deepStrictEqual(args.options, { width: 640, retina: true, steps: { utm: false, alt: false } });
+  assert.deepStrictEqual(args.message, { subject: 'Spring' });
+  assert.deepStrictEqual(parseArgs(['--skip', 'utm', '--skip=alt,links']).options.steps, { utm: false, alt: false, links: false });
+
+  assert.throws(() => parseArgs(['--width', '0']), /--width must be a positive whole number/);
+  assert.throws(() => parseArgs(['--pretty', '--minify']), /Use only one of --pretty and --minify/);
+});
+
+test('converts a file and exits 0', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cleansend-'));
+  try {
+    const out = path.join(dir, 'email.html');
+    const result = run([SOURCE, '--out', out, '--text', '--eml']);
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.match(fs.readFileSync(out, 'utf8'), /role="presentation"/);
+    assert.ok(fs.existsSync(path.join(dir, 'email.txt')));
+    assert.match(fs.readFileSync(path.join(dir, 'email.eml'), 'utf8'), /^Date: /);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('says the slice images are not recompressed', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cleansend-'));
+  try {
+    const result = run([SOURCE, '--out', path.join(dir, 'email.html'), '--assets', path.join(__dirname, '..', 'sample_code', 'images')]);
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.match(result.stderr, /renamed but not recompressed/);
+    assert.ok(fs.existsSync(path.join(dir, 'email.assets.zip')));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('exits 1 with a message on bad input', () => {
+  const missing = run([path.join(__dirname, 'missing.html')]);
+  assert.strictEqual(missing.status, 1);
+  assert.match(missing.stderr, /^Cannot read /);
+
+  const unknown = run([SOURCE, '--nope']);
+  assert.strictEqual(unknown.status, 1);
+  assert.match(unknown.stderr, /^Unknown option --nope\n\nUsage: /);
+
+  assert.strictEqual(run([]).status, 1);
+  assert.strictEqual(run(['--help']).status, 0);
+});
@@ -0,0 +1,13 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const dom = require('../lib/dom');
+
+test('round-trips character references in attributes', () => {
+  const html = '<img alt="Caf&eacute; &euro;5 &amp; more" title="&copy; &#169; &amp;copy;" src="a.jpg?x=1&amp;y=2">';
+  assert.strictEqual(dom.serialize(dom.parse(html)),
+    '<img alt="Caf&eacute; &euro;5 &amp; more" title="© © &amp;copy;" src="a.jpg?x=1&amp;y=2">');
+  assert.strictEqual(dom.escapeAttribute('R&D "&eacute;"'), 'R&amp;D &quot;&eacute;&quot;');
+  assert.strictEqual(dom.escapeText('Caf&eacute; & <b>'), 'Caf&eacute; &amp; &lt;b&gt;');
+});
@@ -0,0 +1,46 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { prettyPrint, minify, formatHtml } = require('../lib/format');
+
+test('pretty-prints table structure and keeps cell content on one line', () => {
+  const html = '<table><tr><td>\n\t<a href="x">\n\t\t<img src="a.jpg" style="display:block"></a></td></tr></table>';
+  assert.strictEqual(prettyPrint(html), [
+    '<table>',
+    '  <tr>',
+    '    <td><a href="x"><img src="a.jpg" style="display:block"></a></td>',
+    '  </tr>',
+    '</table>',
+    '',
+  ].join('\n'));
+});
+
+test('minify drops plain comments and unrendered whitespace only', () => {
+  const html = [
+    '<!-- slices -->',
+    '<table>',
+    '  <tr>',
+    '    <td colspan="1" class="" style="padding: 0px 10px;  color: #333333 ;">',
+    '      <div style="display:inline-block">A</div>',
+    '      <div style="display:inline-block">B</div>',
+    '      <!--[if mso]><table><tr><td><![endif]-->',
+    '    </td>',
+    '  </tr>',
+    '</table>',
+  ].join('\n');
+  assert.strictEqual(minify(html), '<table><tr><td style="padding:0 10px;color:#333333">' +
+    '<div style="display:inline-block">A</div> <div style="display:inline-block">B</div> ' +
+    '<!--[if mso]><table><tr><td><![endif]--></td></tr></table>');
+});
+
+test('minify leaves VML and mso- styles as written', () => {
+  const vml = '<v:rect style="width: 600px;  height: 0px;" fill="true"> <v:fill src="a.jpg" /> </v:rect>';
+  const html = `<td style="mso-line-height-rule: exactly; mso-table-lspace: 0pt;">${vml}</td>`;
+  assert.strictEqual(minify(html), `<td style="mso-line-height-rule:exactly;mso-table-lspace:0pt">${vml}</td>`);
+});
+
+test('rejects unknown formats', () => {
+  assert.strictEqual(formatHtml('<p>x</p>', 'none'), '<p>x</p>');
+  assert.throws(() => formatHtml('<p>x</p>', 'compact'), /Unknown format "compact"/);
+});
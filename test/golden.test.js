@@ -0,0 +1,89 @@
+/**
+ * Golden-file regression suite
+ *
+ * Runs every case in test/golden/cases.json through the transform and
+ * compares the result with test/golden/<name>.html. A case with a
+ * `reference` (a hand-finished output from an earlier version of the tool)
+ * is also checked against it, slice by slice.
+ *
+ *   node --test                          # check
+ *   UPDATE_GOLDENS=1 node --test         # rewrite goldens after an intended change
+ *   node test/golden.test.js --update    # same, for this file only
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { transform } = require('../lib/transform');
+const dom = require('../lib/dom');
+
+const REPO_ROOT = path.join(__dirname, '..');
+const GOLDEN_DIR = path.join(__dirname, 'golden');
+const UPDATE = process.env.UPDATE_GOLDENS === '1' || process.argv.includes('--update');
+
+const cases = JSON.parse(fs.readFileSync(path.join(GOLDEN_DIR, 'cases.json'), 'utf8'));
+
+/**
+ * Describe the first differing line between two outputs
+ * @param {string} expected - Golden contents
+ * @param {string} actual - Transform output
+ * @returns {string}
+ */
+function describeDifference(expected, actual) {
+  const expectedLines = expected.split('\n');
+  const actualLines = actual.split('\n');
+  const length = Math.max(expectedLines.length, actualLines.length);
+  for (let i = 0; i < length; i++) {
+    if (expectedLines[i] !== actualLines[i]) {
+      return [
+        `first difference at line ${i + 1}:`,
+        `- ${expectedLines[i] === undefined ? '<end of file>' : expectedLines[i]}`,
+        `+ ${actualLines[i] === undefined ? '<end of file>' : actualLines[i]}`,
+      ].join('\n');
+    }
+  }
+  return 'outputs differ';
+}
+
+/**
+ * What a reference output pins down regardless of formatting: each slice's
+ * src and width and the link it sits in, in order
+ * @param {string} html - Email HTML
+ * @returns {string[]}
+ */
+function sliceOutline(html) {
+  return dom.parse(html).getElementsByTagName('img').map((img) => {
+    const link = img.closest('a');
+    return [img.getAttribute('src'), img.getAttribute('width'), link ? link.getAttribute('href') : ''].join(' | ');
+  });
+}
+
+cases.forEach(({ name, input, reference, options }) => {
+  if (reference) {
+    test(`golden: ${name} matches ${reference}`, () => {
+      const source = fs.readFileSync(path.join(REPO_ROOT, input), 'utf8');
+      const expected = fs.readFileSync(path.join(REPO_ROOT, reference), 'utf8');
+      assert.deepStrictEqual(sliceOutline(transform(source, options)), sliceOutline(expected));
+    });
+  }
+
+  test(`golden: ${name}`, () => {
+    const source = fs.readFileSync(path.join(REPO_ROOT, input), 'utf8');
+    const actual = transform(source, options);
+    const goldenPath = path.join(GOLDEN_DIR, `${name}.html`);
+
+    if (UPDATE || !fs.existsSync(goldenPath)) {
+      fs.writeFileSync(goldenPath, actual);
+      if (!UPDATE) assert.fail(`Golden ${name}.html was missing and has been written; review and commit it`);
+      return;
+    }
+
+    const expected = fs.readFileSync(goldenPath, 'utf8');
+    if (actual !== expected) {
+      assert.fail(`${name}.html no longer matches (${input})\n${describeDifference(expected, actual)}\n` +
+        'Re-run with UPDATE_GOLDENS=1 if the change is intended.');
+    }
+  });
+});
@@ -0,0 +1,126 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { sliceGrid, piecePath, cropSlices } = require('../lib/hotspots');
+const { runPipeline } = require('../lib/transform');
+const dom = require('../lib/dom');
+
+const SLICE = '<table width="600"><tr><td><a href="https://example.com/"><img src="images/hero.jpg" width="600" height="400" alt="Hero"></a></td></tr>' +
+  '<tr><td><img src="images/footer.jpg" width="600" height="100" alt="Footer"></td></tr></table>';
+const BOOK = { x: 0.5, y: 0.25, width: 0.25, height: 0.5, href: 'https://example.com/book', alt: 'Book a tour' };
+
+test('cuts a slice into bands and pieces around its hotspots', () => {
+  const grid = sliceGrid(600, 400, [BOOK]);
+  assert.deepStrictEqual(grid.map((band) => [band.y, band.height, band.pieces.map((piece) => [piece.x, piece.width, piece.hotspot])]), [
+    [0, 100, [[0, 600, null]]],
+    [100, 200, [[0, 300, null], [300, 150, 0], [450, 150, null]]],
+    [300, 100, [[0, 600, null]]],
+  ]);
+  // Edges are rounded, so pieces still add up to the slice
+  const odd = sliceGrid(333, 10, [{ x: 0.333, y: 0, width: 0.333, height: 1 }]);
+  assert.strictEqual(odd[0].pieces.reduce((sum, piece) => sum + piece.width, 0), 333);
+
+  assert.throws(() => sliceGrid(600, 400, [BOOK, { ...BOOK, x: 0.6 }]), /Hotspots 1 and 2 overlap/);
+  assert.strictEqual(sliceGrid(600, 400, [{ x: 0.5, y: 0.5, width: 0, height: 0.2 }]).length, 1);
+  assert.throws(() => sliceGrid(2, 400, [BOOK]), /Slice is too small/);
+});
+
+test('cuts a @2x file into the same pieces as the HTML', async () => {
+  // Edges a fraction of a pixel apart at 350px but not at 700px
+  const spots = [
+    { x: 0, y: 0.2, width: 0.3335, height: 0.5, href: 'https://example.com/a' },
+    { x: 0.3345, y: 0.2, width: 0.3, height: 0.502, href: 'https://example.com/b' },
+  ];
+  const shape = (grid) => grid.map((band) => band.pieces.map((piece) => piece.hotspot));
+  assert.deepStrictEqual(shape(sliceGrid(350, 99, spots)), shape(sliceGrid(700, 198, spots)));
+  const small = sliceGrid(350, 99, spots);
+  assert.ok(small.every((band) => band.height > 0 && band.pieces.every((piece) => piece.width > 0)));
+  assert.ok(small.every((band) => band.pieces.reduce((sum, piece) => sum + piece.width, 0) === 350));
+
+  const html = '<table width="700"><tr><td><img src="images/hero.jpg" width="700" height="198" alt="Hero"></td></tr></table>';
+  const hotspots = { 'images/hero.jpg': spots };
+  const cropper = async (file, hotspotList) => sliceGrid(700, 198, hotspotList).flatMap((band) => band.pieces)
+    .map((piece, index) => ({ data: new Uint8Array([0xff, 0xd8, 0xff, index]), type: 'image/jpeg' }));
+  const hero = { path: 'images/hero.jpg', data: new Uint8Array([0xff, 0xd8, 0xff, 1]), type: 'image/jpeg' };
+  const files = await cropSlices([hero], hotspots, { cropper });
+  const result = runPipeline(html, { width: 350, hotspots });
+  const pieces = dom.parse(result.html).getElementsByTagName('img')
+    .filter((img) => img.getAttribute('src').startsWith('images/hero-'));
+  assert.strictEqual(pieces.length, files.length);
+  assert.ok(pieces.every((img) => Number(img.getAttribute('width')) > 0 && Number(img.getAttribute('height')) > 0));
+});
+
+test('numbers pieces after the slice file', () => {
+  assert.strictEqual(piecePath('images/index_2_03.jpg', 0), 'images/index_2_03-1.jpg');
+  assert.strictEqual(piecePath('images/hero.png?v=2', 4), 'images/hero-5.png?v=2');
+  assert.strictEqual(piecePath('hero', 1), 'hero-2');
+});
+
+test('replaces a slice with a table of linked pieces', () => {
+  const result = runPipeline(SLICE, { campaignSource: 'news', hotspots: { 'images/hero.jpg': [BOOK] } });
+  const tree = dom.parse(result.html);
+  const pieces = tree.getElementsByTagName('img').filter((img) => img.getAttribute('src').startsWith('images/hero-'));
+  assert.deepStrictEqual(pieces.map((img) => [img.getAttribute('width'), img.getAttribute('alt'), img.closest('a').getAttribute('href')]), [
+    ['600', 'Hero', 'https://example.com/?utm_source=news'],
+    ['300', 'Hero', 'https://example.com/?utm_source=news'],
+    ['150', 'Book a tour', 'https://example.com/book?utm_source=news'],
+    ['150', 'Hero', 'https://example.com/?utm_source=news'],
+    ['600', 'Hero', 'https://example.com/?utm_source=news'],
+  ]);
+  // The middle band is nested once, at the slice's width, and not again by the row step
+  const band = pieces[2].closest('table');
+  assert.strictEqual(band.getAttribute('width'), '600');
+  assert.strictEqual(tree.getElementsByTagName('table').length, 3);
+  assert.strictEqual(result.report.find((entry) => entry.id === 'hotspots').count, 1);
+
+  // Pieces are listed under the slice they came from, for the alt text editor
+  assert.deepStrictEqual([...new Set(result.images.map((image) => image.key))], ['images/hero.jpg', 'images/footer.jpg']);
+  assert.ok(result.images.every((image) => !image.duplicate));
+  assert.strictEqual(result.links.find((link) => link.href.includes('/book')).key, 'https://example.com/book');
+
+  // Pieces of one link read once in the plain-text version
+  const { text } = runPipeline(SLICE, { hotspots: { 'images/hero.jpg': [BOOK] }, footer: true, text: true });
+  assert.ok(text.startsWith('Hero\nhttps://example.com/\n\nBook a tour\nhttps://example.com/book\n\nHero\nhttps://example.com/\n\nFooter\n\n'));
+});
+
+test('keeps the rest of a link that holds more than the slice', () => {
+  const html = '<table width="600"><tr><td><a href="https://example.com/"><img src="images/hero.jpg" width="600" height="400" alt="Hero"> Shop now</a></td></tr></table>';
+  const tree = dom.parse(runPipeline(html, { hotspots: { 'images/hero.jpg': [BOOK] } }).html);
+  const cell = tree.getElementsByTagName('img')[0].closest('table').parent;
+  const rest = cell.children.find((child) => child.type === 'element' && child.tagName === 'a');
+  assert.strictEqual(rest.textContent.trim(), 'Shop now');
+  assert.strictEqual(rest.getAttribute('href'), 'https://example.com/');
+  // Only the pieces' own links: none nested in another
+  assert.ok(tree.getElementsByTagName('a').every((a) => !a.parent.closest('a')));
+  assert.strictEqual(tree.getElementsByTagName('img').length, 5);
+});
+
+test('rejects hotspot options that are not lists of areas', async () => {
+  assert.throws(() => runPipeline(SLICE, { hotspots: { 'images/hero.jpg': [null] } }),
+    /Hotspot 1 for "images\/hero\.jpg" needs numeric x, y, width and height/);
+  assert.throws(() => runPipeline(SLICE, { hotspots: { 'images/hero.jpg': BOOK } }), /Hotspots for "images\/hero\.jpg" must be a list/);
+  assert.throws(() => runPipeline(SLICE, { hotspots: [BOOK] }), /hotspots must be an object/);
+  await assert.rejects(cropSlices([], { 'images/hero.jpg': [{ ...BOOK, x: '0.5' }] }), /Hotspot 1/);
+  assert.strictEqual(runPipeline(SLICE, { hotspots: { 'images/hero.jpg': [] } }).html.includes('hero-1.jpg'), false);
+});
+
+test('points pieces at the images cropped for them', async () => {
+  const hero = { path: 'export/images/hero.jpg', data: new Uint8Array([0xff, 0xd8, 0xff, 1]), type: 'image/jpeg' };
+  const cropper = async (file, spots) => sliceGrid(8, 8, spots).flatMap((band) => band.pieces)
+    .map((piece, index) => ({ data: new Uint8Array([0xff, 0xd8, 0xff, index]), type: 'image/jpeg' }));
+  const hotspots = { 'images/hero.jpg': [BOOK], 'images/missing.jpg': [BOOK] };
+  const pieces = await cropSlices([hero], hotspots, { cropper });
+  assert.deepStrictEqual(pieces.map((piece) => piece.path),
+    [1, 2, 3, 4, 5].map((n) => `export/images/hero-${n}.jpg`));
+  assert.deepStrictEqual(await cropSlices([hero], hotspots), []);
+
+  const result = runPipeline(SLICE, { imageUrl: 'https://cdn.example.com/', assets: [hero, ...pieces], hotspots });
+  const names = result.assets.files.map((file) => file.name);
+  assert.strictEqual(names.length, 5);
+  assert.match(names[2], /^book-a-tour-[0-9a-f]{8}\.jpg$/);
+  assert.ok(result.html.includes(`src="https://cdn.example.com/${names[2]}"`));
+  // The whole slice is no longer used; the uncropped footer is still missing
+  assert.deepStrictEqual(result.assets.unused, ['export/images/hero.jpg']);
+  assert.deepStrictEqual(result.assets.missing, ['images/footer.jpg']);
+});
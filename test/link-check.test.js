@@ -0,0 +1,94 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { checkLink, checkLinks } = require('../lib/link-check');
+
+// Local stand-in for the sites an email links to
+const ROUTES = {
+  '/ok': (req, res) => res.writeHead(200).end('ok'),
+  '/moved': (req, res) => res.writeHead(301, { Location: `/ok${req.url.slice('/moved'.length)}` }).end(),
+  '/strip': (req, res) => res.writeHead(302, { Location: '/ok' }).end(),
+  '/loop': (req, res) => res.writeHead(302, { Location: '/loop' }).end(),
+  '/no-head': (req, res) => res.writeHead(req.method === 'HEAD' ? 405 : 200).end(),
+};
+
+let server;
+let base;
+
+test.before(async () => {
+  server = http.createServer((req, res) => {
+    const route = ROUTES[req.url.split('?')[0]];
+    if (route) route(req, res);
+    else res.writeHead(404).end();
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => new Promise((resolve) => server.close(resolve)));
+
+test('reports status and final destination for a live link', async () => {
+  const result = await checkLink(`${base}/ok`);
+  assert.deepStrictEqual(
+    { status: result.status, ok: result.ok, finalUrl: result.finalUrl, error: result.error },
+    { status: 200, ok: true, finalUrl: `${base}/ok`, error: null }
+  );
+});
+
+test('follows redirects and records the chain', async () => {
+  const result = await checkLink(`${base}/moved?utm_medium=email`);
+  assert.deepStrictEqual(result.chain, [
+    { url: `${base}/moved?utm_medium=email`, status: 301 },
+    { url: `${base}/ok?utm_medium=email`, status: 200 },
+  ]);
+  assert.deepStrictEqual(result.utmStripped, []);
+});
+
+test('flags redirects that drop UTM parameters', async () => {
+  const result = await checkLink(`${base}/strip?utm_medium=email&utm_campaign=spring`);
+  assert.strictEqual(result.finalUrl, `${base}/ok`);
+  assert.deepStrictEqual(result.utmStripped, ['utm_medium', 'utm_campaign']);
+});
+
+test('reports broken links, loops and HEAD-less servers', async () => {
+  const results = await checkLinks([
+    { href: `${base}/missing` },
+    { href: `${base}/loop` },
+    { href: `${base}/no-head` },
+    { href: 'mailto:hello@example.com' },
+  ]);
+  assert.strictEqual(results.length, 3);
+  assert.deepStrictEqual({ status: results[0].status, ok: results[0].ok }, { status: 404, ok: false });
+  assert.match(results[1].error, /redirect loop/);
+  assert.strictEqual(results[2].status, 200);
+});
+
+test('uses an injected fetcher', async () => {
+  const requested = [];
+  const fetcher = async (url) => {
+    requested.push(url);
+    return { status: 200, headers: { get: () => null } };
+  };
+  const results = await checkLinks(['https://example.com/a', 'https://example.com/a', 'https://example.com/b'], { fetcher });
+  assert.deepStrictEqual(requested, ['https://example.com/a', 'https://example.com/b']);
+  assert.ok(results.every((result) => result.ok));
+});
+
+test('reports responses the browser hides as unverifiable, and can go through a proxy', async () => {
+  const opaque = async () => ({ status: 0, type: 'opaqueredirect', headers: { get: () => null } });
+  const hidden = await checkLink('https://example.com/', { fetcher: opaque });
+  assert.deepStrictEqual({ ok: hidden.ok, unverifiable: hidden.unverifiable }, { ok: false, unverifiable: true });
+  assert.match(hidden.error, /hidden by the browser/);
+
+  const requested = [];
+  const proxied = async (url) => {
+    requested.push(url);
+    return { status: 200, headers: { get: () => null } };
+  };
+  const result = await checkLink('https://example.com/a?b=1', { fetcher: proxied, proxy: 'https://proxy.test/?url=' });
+  assert.deepStrictEqual(requested, ['https://proxy.test/?url=https%3A%2F%2Fexample.com%2Fa%3Fb%3D1']);
+  assert.deepStrictEqual({ ok: result.ok, unverifiable: result.unverifiable, finalUrl: result.finalUrl },
+    { ok: true, unverifiable: false, finalUrl: 'https://example.com/a?b=1' });
+});
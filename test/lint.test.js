@@ -0,0 +1,50 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { lintHtml } = require('../lib/lint');
+
+const OUTLOOK = 'Outlook for Windows (2007–2021, 365)';
+
+test('reports unsupported properties with their lines', () => {
+  const { errors, warnings } = lintHtml([
+    '<table width="600">',
+    '  <tr><td style="max-width:600px;border-radius:4px;">',
+    '    <img src="a.jpg" style="max-width:100%;height:auto;">',
+    '  </td></tr>',
+    '</table>',
+  ].join('\n'));
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(warnings.map(({ id, lines }) => ({ id, lines })), [
+    { id: 'max-width', lines: [2, 3] },
+    { id: 'border-radius', lines: [2] },
+    { id: 'height-auto', lines: [3] },
+  ]);
+  assert.deepStrictEqual(warnings[0].unsupported, [OUTLOOK]);
+});
+
+test('separates errors from warnings and checks style sheets', () => {
+  const { errors, warnings } = lintHtml([
+    '<style>',
+    '  .hero { color: var(--brand); }',
+    '  @media (max-width: 480px) { .col { display: flex; } }',
+    '</style>',
+    '<svg></svg>',
+  ].join('\n'));
+  assert.deepStrictEqual(errors.map(({ id, lines }) => ({ id, lines })), [
+    { id: 'css-variables', lines: [2] },
+    { id: 'display-flex', lines: [3] },
+    { id: 'svg', lines: [5] },
+  ]);
+  assert.deepStrictEqual(warnings.map((warning) => warning.id), ['style-element', 'media-queries']);
+});
+
+test('hidden preheaders with mso-hide are not flagged', () => {
+  const { warnings } = lintHtml('<div style="display:none;max-height:0;mso-hide:all;">Preview</div>\n<span style="display:none">x</span>');
+  assert.deepStrictEqual(warnings.map(({ id, lines }) => ({ id, lines })), [{ id: 'display-none', lines: [2] }]);
+});
+
+test('ignores markup inside MSO conditionals', () => {
+  const { errors, warnings } = lintHtml('<!--[if mso]><table style="position:absolute"><tr><td></td></tr></table><![endif]-->');
+  assert.deepStrictEqual([...errors, ...warnings], []);
+});
@@ -0,0 +1,27 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createMergeTagContext, PLATFORMS } = require('../lib/merge-tags');
+
+test('placeholders round-trip every recognised tag', () => {
+  const tags = createMergeTagContext();
+  const source = '<a href="*|UNSUB|*" title="{{ name | default(\'you\') }}">{% if vip %}Hi{% endif %}</a><%asm_group_unsubscribe_raw_url%>';
+  const protectedSource = tags.protect(source);
+  assert.ok(['*|', '{{', '{%', '<%'].every((opening) => !protectedSource.includes(opening)));
+  assert.strictEqual(tags.restore(protectedSource), source);
+});
+
+test('only whole-value tags count as merge tag hrefs', () => {
+  const tags = createMergeTagContext();
+  assert.ok(tags.isTag('*|ARCHIVE|*'));
+  assert.ok(tags.isTag(tags.protect('{{ unsubscribe_link }}')));
+  assert.ok(!tags.isTag('https://example.com/?id=*|UNIQID|*'));
+});
+
+test('a platform recognises only its own syntaxes', () => {
+  assert.strictEqual(createMergeTagContext('campaign-monitor').protect('[firstname,fallback=there] *|FNAME|*'),
+    '__merge_tag_0__ *|FNAME|*');
+  assert.throws(() => createMergeTagContext('mailjet'), /Unknown platform "mailjet"/);
+  assert.ok(Object.values(PLATFORMS).every((platform) => platform.footer.unsubscribe));
+});
@@ -0,0 +1,90 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  DEFAULT_FROM, encodeBase64, encodeQuotedPrintable, encodeHeader, encodeAddresses, dataUri, createMessage,
+  documentTitle, createEml,
+} = require('../lib/mime');
+
+test('encodes base64 like Buffer does', () => {
+  [0, 1, 2, 3, 4, 5, 255].forEach((length) => {
+    const bytes = Uint8Array.from({ length }, (_, i) => (i * 97) % 256);
+    assert.strictEqual(encodeBase64(bytes), Buffer.from(bytes).toString('base64'));
+  });
+  assert.strictEqual(dataUri({ type: 'image/gif', data: new Uint8Array([71, 73, 70]) }), 'data:image/gif;base64,R0lG');
+});
+
+test('keeps quoted-printable lines short and readable', () => {
+  const encoded = encodeQuotedPrintable(`<td style="padding:0">Café ${'x'.repeat(100)} \nend`);
+  const lines = encoded.split('\r\n');
+  assert.ok(lines.every((line) => line.length <= 76));
+  assert.ok(lines[0].startsWith('<td style=3D"padding:0">Caf=C3=A9 xxx'));
+  // Trailing space before a line break is encoded so it survives transit
+  assert.ok(lines[lines.length - 2].endsWith('=20'));
+  assert.strictEqual(lines[lines.length - 1], 'end');
+});
+
+test('encodes non-ASCII headers as encoded words', () => {
+  assert.strictEqual(encodeHeader('Spring sale'), 'Spring sale');
+  assert.strictEqual(encodeHeader('Ça va'), '=?UTF-8?B?w4dhIHZh?=');
+  const long = encodeHeader('é'.repeat(40));
+  assert.ok(long.split('\r\n ').every((word) => /^=\?UTF-8\?B\?[A-Za-z0-9+/=]+\?=$/.test(word)));
+});
+
+test('attaches cid: images to a multipart/related message', () => {
+  const image = { name: 'logo-1a2b3c4d.png', type: 'image/png', data: new Uint8Array([137, 80, 78, 71]) };
+  const message = createMessage({
+    html: '<img src="cid:logo-1a2b3c4d.png@cleansend">',
+    images: [image, image],
+    headers: { Subject: 'Hello', From: 'news@example.com', To: '' },
+  });
+  assert.match(message, /^Subject: Hello\r\nFrom: news@example.com\r\nMIME-Version: 1.0\r\n/);
+  assert.ok(!message.includes('To:'));
+  assert.match(message, /Content-Type: multipart\/related; boundary="(----=_CleanSend_related_[0-9a-f]{8})"; type="text\/html"/);
+  assert.strictEqual(message.match(/Content-ID: <logo-1a2b3c4d\.png@cleansend>/g).length, 1);
+  assert.ok(message.includes('\r\n\r\niVBORw==\r\n'));
+  assert.ok(message.endsWith('--\r\n'));
+});
+
+test('sends HTML on its own without images', () => {
+  const message = createMessage({ html: '<p>Hi</p>' });
+  assert.strictEqual(message, 'MIME-Version: 1.0\r\nContent-Type: text/html; charset=utf-8\r\n' +
+    'Content-Transfer-Encoding: quoted-printable\r\n\r\n<p>Hi</p>');
+});
+
+test('writes a .eml with a plain-text alternative before the HTML', () => {
+  const eml = createEml({
+    html: '<p>Hi</p>',
+    text: 'Hi\n',
+    subject: 'Spring — sale',
+    from: 'Café Solmar <news@solmar.ca>',
+    to: 'qa@example.com',
+    date: new Date(Date.UTC(2026, 4, 11, 9, 5, 0)),
+  });
+  assert.match(eml, /^Date: Mon, 11 May 2026 09:05:00 \+0000\r\nFrom: =\?UTF-8\?B\?Q2Fmw6kgU29sbWFy\?= <news@solmar\.ca>\r\n/);
+  assert.match(eml, /\r\nTo: qa@example\.com\r\nSubject: =\?UTF-8\?B\?U3ByaW5nIOKAlCBzYWxl\?=\r\nMessage-ID: <[0-9a-f]{8}\.\d+@cleansend>\r\n/);
+  assert.match(eml, /Content-Type: multipart\/alternative/);
+  assert.ok(eml.indexOf('text/plain') < eml.indexOf('text/html'));
+  assert.ok(eml.includes('\r\n\r\nHi\r\n\r\n--'));
+});
+
+test('gives a .eml a Subject and From when none are entered', () => {
+  const date = new Date(Date.UTC(2026, 4, 11, 9, 5, 0));
+  const html = '<html><head><title>Spring &amp; Summer  sale</title></head><body><p>Hi</p></body></html>';
+  const eml = createEml({ html, preheader: 'Limited-time offer', date });
+  assert.match(eml, /\r\nFrom: CleanSend <preview@cleansend\.invalid>\r\n/);
+  assert.match(eml, /\r\nSubject: Spring & Summer sale\r\n/);
+  assert.strictEqual(DEFAULT_FROM, 'CleanSend <preview@cleansend.invalid>');
+  assert.match(createEml({ html: '<p>Hi</p>', preheader: 'Limited-time offer', date }), /\r\nSubject: Limited-time offer\r\n/);
+  assert.match(createEml({ html, subject: 'Spring', preheader: 'Offer', date }), /\r\nSubject: Spring\r\n/);
+  assert.strictEqual(documentTitle('<p>No title</p>'), '');
+  // Out-of-range references stay as written rather than throwing
+  assert.strictEqual(documentTitle('<title>A &#99999999; B</title>'), 'A &#99999999; B');
+  assert.match(createEml({ html: '<title>A &#99999999; B</title>', text: 'x', date }), /\r\nSubject: A &#99999999; B\r\n/);
+});
+
+test('quotes display names with special characters', () => {
+  assert.strictEqual(encodeAddresses('J. Smith <j@example.com>, "Smith, J." <s@example.com>, x@example.com'),
+    '"J. Smith" <j@example.com>, "Smith, J." <s@example.com>, x@example.com');
+});
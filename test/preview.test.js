@@ -0,0 +1,60 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { simulateClient, parseColor, invertLightness } = require('../lib/preview');
+const { runPipeline } = require('../lib/transform');
+
+const EMAIL = [
+  '<style>.a{color:red}@media screen and (max-width:600px){.a{width:100%!important}}</style>',
+  '<div style="display:none;max-height:0;mso-hide:all;">Preview</div>',
+  '<!--[if mso]><table width="600"><tr><td><![endif]-->',
+  '<div style="max-width:600px;margin:0 auto;">',
+  '<!--[if !mso]><!--><p class="not-outlook">Hi</p><!--<![endif]-->',
+  '<span style="display:none;">Mobile only</span>',
+  '<table bgcolor="#ffffff"><tr><td style="color:#333333;background-color:#f0f0f0;">Text</td></tr></table>',
+  '</div>',
+  '<!--[if mso]></td></tr></table><![endif]-->',
+].join('');
+
+test('leaves the email alone by default', () => {
+  assert.strictEqual(simulateClient(EMAIL), EMAIL);
+});
+
+test('outlook mode applies conditionals and drops unsupported CSS', () => {
+  const html = simulateClient(EMAIL, { client: 'outlook' });
+  assert.ok(html.includes('<table width="600"><tr><td>'));
+  assert.ok(!html.includes('not-outlook'));
+  assert.ok(!html.includes('Preview'));
+  assert.ok(!html.includes('max-width'));
+  assert.ok(!html.includes('@media'));
+  assert.ok(html.includes('<span style="">Mobile only</span>'));
+  assert.ok(html.includes('<style>.a{color:red}</style>'));
+});
+
+test('partial dark mode darkens backgrounds and lightens text', () => {
+  const html = simulateClient(EMAIL, { dark: 'partial' });
+  assert.ok(html.includes('bgcolor="#000000"'));
+  assert.ok(html.includes('color:#cccccc;background-color:#0f0f0f;'));
+});
+
+test('full dark mode inverts the page and re-inverts images', () => {
+  assert.match(simulateClient(EMAIL, { dark: 'full' }), /^<style>html\{filter:invert\(1\)/);
+  // A full document keeps its doctype first and gets the style in its head
+  const { html } = runPipeline(EMAIL, { output: 'document' });
+  ['partial', 'full'].forEach((dark) => {
+    const preview = simulateClient(html, { dark });
+    assert.ok(preview.startsWith('<!DOCTYPE html>'));
+    const head = preview.slice(0, preview.indexOf('</head>'));
+    assert.ok(head.includes(dark === 'full' ? '<style>html{filter:invert(1)' : '<style>body{background:'));
+  });
+  assert.match(simulateClient('<!DOCTYPE html>\n<p>Hi</p>', { dark: 'full' }), /^<!DOCTYPE html>\n<style>html\{filter/);
+});
+
+test('parses and inverts colours', () => {
+  assert.deepStrictEqual(parseColor('#fff'), [255, 255, 255]);
+  assert.deepStrictEqual(parseColor('rgb(10, 20, 30)'), [10, 20, 30]);
+  assert.strictEqual(parseColor('transparent'), null);
+  assert.strictEqual(invertLightness([255, 0, 0]), '#ff0000');
+  assert.strictEqual(invertLightness([0, 0, 128]), '#7f7fff');
+});
@@ -0,0 +1,67 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { byteLength, clipStatus, measureImages, GMAIL_CLIP_BYTES } = require('../lib/size');
+const { runPipeline } = require('../lib/transform');
+const { contentId } = require('../lib/mime');
+
+test('measures UTF-8 bytes', () => {
+  assert.strictEqual(byteLength('abc'), 3);
+  assert.strictEqual(byteLength('é—'), 5);
+});
+
+test('warns as the HTML approaches the clipping limit', () => {
+  assert.strictEqual(clipStatus(50 * 1024).level, 'ok');
+  assert.strictEqual(clipStatus(90 * 1024).level, 'warning');
+  assert.strictEqual(clipStatus(GMAIL_CLIP_BYTES).level, 'clipped');
+  assert.match(clipStatus(GMAIL_CLIP_BYTES + 1).message, /Gmail will clip/);
+});
+
+test('weighs each distinct image once', async () => {
+  const sizes = { 'https://cdn.example.com/a.jpg': '1000', 'https://cdn.example.com/b.png': null };
+  const fetcher = async (url, { method }) => ({
+    status: 200,
+    headers: { get: () => sizes[url] },
+    arrayBuffer: async () => new ArrayBuffer(method === 'GET' ? 250 : 0),
+  });
+  const weight = await measureImages([
+    { src: 'https://cdn.example.com/a.jpg' },
+    { src: 'https://cdn.example.com/a.jpg' },
+    { src: 'https://cdn.example.com/b.png' },
+    { src: 'images/c.gif' },
+  ], { fetcher });
+  assert.deepStrictEqual(
+    { count: weight.count, distinct: weight.distinct, bytes: weight.bytes, unknown: weight.unknown },
+    { count: 4, distinct: 3, bytes: 1250, unknown: ['images/c.gif'] }
+  );
+});
+
+test('requests each image once across runs that share a cache', async () => {
+  let requests = 0;
+  const fetcher = async () => {
+    requests++;
+    return { status: 200, headers: { get: () => '1000' } };
+  };
+  const cache = new Map();
+  const srcs = ['https://cdn.example.com/a.jpg', 'https://cdn.example.com/b.jpg'];
+  await measureImages(srcs, { fetcher, cache });
+  const again = await measureImages([...srcs, 'https://cdn.example.com/c.jpg'], { fetcher, cache });
+  assert.strictEqual(requests, 3);
+  assert.strictEqual(again.bytes, 3000);
+  await measureImages(srcs, { fetcher });
+  assert.strictEqual(requests, 5);
+});
+
+test('weighs attached cid: images from their known sizes', async () => {
+  const hero = { path: 'images/hero.jpg', data: new Uint8Array(500).fill(0xff), type: 'image/jpeg' };
+  const html = '<table width="600"><tr><td><img src="images/hero.jpg" width="600" height="10" alt="Hero"></td></tr></table>';
+  const { images, assets } = runPipeline(html, { assets: [hero], embed: 'cid' });
+  const src = images[0].src;
+  assert.match(src, /^cid:/);
+
+  const sizes = Object.fromEntries(assets.files.map((file) => [`cid:${contentId(file.name)}`, file.bytes]));
+  const weight = await measureImages(images, { fetcher: async () => assert.fail('no request for cid:'), sizes });
+  assert.deepStrictEqual({ bytes: weight.bytes, unknown: weight.unknown }, { bytes: 500, unknown: [] });
+  assert.deepStrictEqual((await measureImages(images)).unknown, [src]);
+});
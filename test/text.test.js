@@ -0,0 +1,51 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { htmlToText } = require('../lib/text');
+const { runPipeline } = require('../lib/transform');
+
+test('writes alt text with each link beneath, skipping hidden content', () => {
+  const html = '<table><tr><td><div style="display:none;mso-hide:all;">Hidden preheader</div></td></tr>' +
+    '<tr><td><a href="https://example.com/?utm_source=news"><img src="hero.jpg" alt="Spring sale"></a></td>' +
+    '<td><img src="spacer.gif" alt=""></td></tr>' +
+    '<tr><td>Questions? <a href="mailto:help@example.com">help@example.com</a> &amp; more<br>Call us</td></tr>' +
+    '<tr><td><!--[if mso]><p>Outlook only</p><![endif]--><a href="*|ARCHIVE|*">View online</a> · <a href="*|UNSUB|*">Unsubscribe</a></td></tr></table>';
+  assert.strictEqual(htmlToText(html, { preheader: ' Preview text ' }), [
+    'Preview text',
+    '',
+    'Spring sale',
+    'https://example.com/?utm_source=news',
+    '',
+    'Questions? help@example.com & more',
+    'Call us',
+    '',
+    'View online',
+    '*|ARCHIVE|*',
+    'Unsubscribe',
+    '*|UNSUB|*',
+    '',
+  ].join('\n'));
+});
+
+test('adds the platform footer to the text version when the email has no unsubscribe line', () => {
+  const html = '<table width="600"><tr><td><a href="https://example.com/sale"><img src="images/hero.jpg" alt="Spring sale"></a></td></tr></table>';
+  const options = { description: 'Preview text', campaignSource: 'news', text: true };
+
+  // No platform, profile or footer: no ESP's merge tags are made up
+  const plain = runPipeline(html, options).text;
+  assert.strictEqual(plain, 'Preview text\n\nSpring sale\nhttps://example.com/sale?utm_source=news\n');
+  assert.ok(!plain.includes('*|'));
+
+  const { text } = runPipeline(html, { ...options, platform: 'mailchimp' });
+  assert.ok(text.startsWith('Preview text\n\nSpring sale\nhttps://example.com/sale?utm_source=news\n\n---\n\n'));
+  // Mailchimp's HTML address tag would put markup in the text
+  assert.ok(text.includes('\n*|LIST:ADDRESS|*\n'));
+  assert.ok(text.endsWith('Unsubscribe\n*|UNSUB|*\nUpdate your preferences\n*|UPDATE_PROFILE|*\n'));
+
+  // With the footer row in the HTML, its links are the footer
+  const withFooter = runPipeline(html, { ...options, footer: true, platform: 'hubspot', footerAddress: 'Solmar, Erin ON' });
+  assert.ok(!withFooter.text.includes('---'));
+  assert.ok(withFooter.text.includes('\nSolmar, Erin ON\n\nUnsubscribe\n{{ unsubscribe_link_all }}\n'));
+  assert.strictEqual(runPipeline(html).text, null);
+});
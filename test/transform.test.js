@@ -0,0 +1,203 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { runPipeline, STEPS } = require('../lib/transform');
+
+const SOURCE = `<table width="600" height="400">
+  <tr><td><a href="https://example.com"><img src="images/a.jpg" width="600" height="400" alt=""></a></td></tr>
+</table>`;
+
+const entry = (report, id) => report.find((item) => item.id === id);
+
+test('report lists every step in pipeline order', () => {
+  const { report } = runPipeline(SOURCE, { imageUrl: 'https://cdn.example.com/' });
+  assert.deepStrictEqual(report.map((item) => item.id), STEPS.map((step) => step.id));
+});
+
+test('report counts the elements each step touched', () => {
+  const { report } = runPipeline(SOURCE, { imageUrl: 'https://cdn.example.com/' });
+  assert.strictEqual(entry(report, 'tables').count, 1);
+  assert.strictEqual(entry(report, 'images').count, 1);
+  assert.strictEqual(entry(report, 'links').count, 1);
+  assert.strictEqual(entry(report, 'utm').count, 0);
+  assert.strictEqual(entry(report, 'utm').passed, null);
+});
+
+test('switched-off checklist steps are skipped and fail their check', () => {
+  const { html, report } = runPipeline(SOURCE, { steps: { center: false } });
+  assert.ok(!html.includes('<center>'));
+  assert.deepStrictEqual(
+    { enabled: entry(report, 'center').enabled, passed: entry(report, 'center').passed },
+    { enabled: false, passed: false }
+  );
+});
+
+test('checks pass when the source already satisfies a skipped item', () => {
+  const { report } = runPipeline(`<center>${SOURCE}</center>`, { steps: { center: false } });
+  assert.strictEqual(entry(report, 'center').passed, true);
+});
+
+test('relative images fail the images check when its step is off', () => {
+  const { report } = runPipeline(SOURCE, { imageUrl: 'https://cdn.example.com/', steps: { images: false } });
+  assert.strictEqual(entry(report, 'images').passed, false);
+});
+
+test('fragment output keeps only the body content', () => {
+  const { html } = runPipeline(`<html><head><title>Spring</title></head><body>${SOURCE}</body></html>`);
+  assert.ok(html.startsWith('<center><table'));
+  assert.ok(!html.includes('<title>'));
+});
+
+test('unknown output modes are rejected', () => {
+  assert.throws(() => runPipeline(SOURCE, { output: 'pdf' }), /Unknown output mode "pdf"/);
+});
+
+test('alt text comes from the editor, then the link, then the file name', () => {
+  const { images } = runPipeline(`<table width="600">
+  <tr><td><a href="https://example.com/spring-sale"><img src="images/index_01.jpg" alt=""></a></td></tr>
+  <tr><td><img src="images/hero-banner_02.jpg" alt=""></td></tr>
+  <tr><td><img src="images/index_03.jpg" alt=""></td></tr>
+  <tr><td><img src="images/spacer.gif" width="600" height="1"></td></tr>
+</table>`, { altText: { 'images/index_03.jpg': 'Free shipping' } });
+  assert.deepStrictEqual(images.map((image) => image.alt), ['Spring sale', 'Hero banner', 'Free shipping', '']);
+  assert.ok(images.every((image) => !image.missing && !image.duplicate));
+
+  // Entries are keyed by the src as written, merge tags included
+  const tagged = runPipeline('<table width="600"><tr><td><img src="{{ cdn }}/hero.jpg" alt=""></td></tr></table>',
+    { platform: 'hubspot', altText: { '{{ cdn }}/hero.jpg': 'Spring collection' } });
+  assert.deepStrictEqual(tagged.images.map((image) => [image.key, image.alt]), [['{{ cdn }}/hero.jpg', 'Spring collection']]);
+});
+
+test('missing and duplicate alt text is flagged and fails the check', () => {
+  const { report, images } = runPipeline(`<table width="600">
+  <tr><td><a href="https://example.com/"><img src="images/index_01.jpg" alt=""></a></td></tr>
+  <tr><td><a href="https://example.com/"><img src="images/index_02.jpg" alt=""></a></td></tr>
+  <tr><td><img src="images/index_03.jpg" alt=""></td></tr>
+</table>`);
+  assert.deepStrictEqual(
+    images.map(({ alt, missing, duplicate }) => ({ alt, missing, duplicate })),
+    [
+      { alt: 'Visit example.com', missing: false, duplicate: true },
+      { alt: 'Visit example.com', missing: false, duplicate: true },
+      { alt: '', missing: true, duplicate: false },
+    ]
+  );
+  assert.strictEqual(entry(report, 'alt').passed, false);
+});
+
+test('automatic utm_content uses the slice name, else the link position', () => {
+  const { links } = runPipeline(`<table width="600">
+  <tr><td><a href="https://example.com/a"><img src="images/hero_01.jpg" alt="Hero"></a></td></tr>
+  <tr><td><a href="mailto:hello@example.com">Email us</a> <a href="https://example.com/b">Shop</a></td></tr>
+</table>`, { campaignSource: 'newsletter', autoContent: true });
+  assert.deepStrictEqual(links.filter((link) => link.tracked).map((link) => link.href), [
+    'https://example.com/a?utm_source=newsletter&utm_content=hero_01',
+    'https://example.com/b?utm_source=newsletter&utm_content=link-2',
+  ]);
+});
+
+test('link overrides exclude hrefs or replace and remove parameters', () => {
+  const { links } = runPipeline(`<table width="600">
+  <tr><td><a href="https://example.com/a?utm_term=old">A</a> <a href="https://example.com/b">B</a></td></tr>
+</table>`, {
+    campaignMedium: 'email',
+    campaignName: 'spring',
+    links: {
+      'https://example.com/a?utm_term=old': { params: { utm_campaign: 'spring_vip', utm_term: '' } },
+      'https://example.com/b': { exclude: true },
+    },
+  });
+  assert.deepStrictEqual(links.map(({ key, href, excluded }) => ({ key, href, excluded })), [
+    { key: 'https://example.com/a?utm_term=old', href: 'https://example.com/a?utm_medium=email&utm_campaign=spring_vip', excluded: false },
+    { key: 'https://example.com/b', href: 'https://example.com/b', excluded: true },
+  ]);
+});
+
+test('edited link URLs replace the href before UTM parameters are added', () => {
+  const { html, links } = runPipeline('<table><tr><td><a href="http://example.com/old">Shop</a></td></tr></table>', {
+    campaignMedium: 'email',
+    links: { 'http://example.com/old': { href: 'https://example.com/new' } },
+  });
+  assert.ok(html.includes('href="https://example.com/new?utm_medium=email"'));
+  assert.deepStrictEqual(
+    { key: links[0].key, edited: links[0].edited, utm: links[0].utm, issues: links[0].issues },
+    { key: 'http://example.com/old', edited: true, utm: { utm_medium: 'email' }, issues: [] }
+  );
+});
+
+test('links and slices are flagged for problems', () => {
+  const { links, images } = runPipeline(`<table>
+  <tr><td><a href="http://example.com/"><img src="images/index_01.jpg" alt="Home"></a></td></tr>
+  <tr><td><a href="">Empty</a> <a href="www.example.com">Bare</a> <a href="mailto:nobody">Mail</a></td></tr>
+  <tr><td><img src="images/shop-now-button.png" alt=""></td></tr>
+</table>`);
+  assert.deepStrictEqual(links.map((link) => link.issues), [['insecure'], ['empty'], ['malformed'], ['malformed']]);
+  assert.strictEqual(links[0].image, 'images/index_01.jpg');
+  assert.deepStrictEqual(images.map((image) => image.unlinked), [false, true]);
+
+  // Internationalized domains, including non-Latin TLDs
+  const idn = runPipeline('<table><tr><td><a href="https://例え.テスト/">A</a> <a href="https://bücher.xn--p1ai/">B</a></td></tr></table>');
+  assert.deepStrictEqual(idn.links.map((link) => link.issues), [[], []]);
+});
+
+test('export profiles strip rejected markup and add required footer elements', () => {
+  const source = `<table width="600"><tr><td onclick="track()"><img src="images/hero_01.jpg" alt="Hero"><script>track()</script></td></tr></table>`;
+  const { html, report } = runPipeline(source, { profile: 'mailchimp' });
+  assert.ok(!html.includes('onclick') && !html.includes('<script'));
+  assert.ok(html.includes('mc:edit="image_1"'));
+  assert.ok(html.includes('*|UNSUB|*') && html.includes('*|HTML:LIST_ADDRESS_HTML|*'));
+  assert.strictEqual(entry(report, 'footer').passed, true);
+});
+
+test('the footer check only applies with an export profile', () => {
+  const { report } = runPipeline(SOURCE);
+  assert.strictEqual(entry(report, 'footer').passed, null);
+  assert.throws(() => runPipeline(SOURCE, { profile: 'mailjet' }), /Unknown profile "mailjet"/);
+});
+
+test('the diff groups attribute changes by step', () => {
+  const { changes } = runPipeline(SOURCE, { imageUrl: 'https://cdn.example.com/', campaignMedium: 'email', diff: true });
+  const group = (id) => changes.find((item) => item.id === id).changes;
+  assert.ok(group('tables').some((change) => change.type === 'attribute' && change.name === 'height' && change.after === null));
+  assert.deepStrictEqual(group('center').map(({ type, path }) => ({ type, path })), [{ type: 'added', path: 'center' }]);
+  assert.deepStrictEqual(
+    group('utm').map(({ path, name, before, after }) => ({ path, name, before, after })),
+    [{ path: 'center > table > tr > td > a', name: 'href', before: 'https://example.com', after: 'https://example.com/?utm_medium=email' }]
+  );
+  assert.strictEqual(runPipeline(SOURCE).changes, null);
+});
+
+test('the diff reports merge tags as written', () => {
+  const { changes } = runPipeline('<table><tr><td><a href="*|ARCHIVE|*">View</a></td></tr></table>',
+    { campaignMedium: 'email', diff: true });
+  const links = changes.find((item) => item.id === 'links').changes;
+  assert.ok(links.every((change) => change.path.endsWith('> a') && !/__merge_tag_/.test(JSON.stringify(change))));
+});
+
+test('the size report adds up to the output and flags Gmail clipping', () => {
+  const { html, size } = runPipeline(SOURCE, { imageUrl: 'https://cdn.example.com/', size: true });
+  assert.strictEqual(size.bytes, Buffer.byteLength(html));
+  assert.strictEqual(size.source + size.steps.reduce((sum, step) => sum + step.bytes, 0), size.bytes);
+  assert.ok(entry(size.steps, 'images').bytes > 0);
+  assert.strictEqual(size.level, 'ok');
+  assert.strictEqual(runPipeline(SOURCE).size, null);
+
+  const long = `<table width="600">${'<tr><td><img src="images/slice.jpg" width="600" height="10" alt="Slice"></td></tr>'.repeat(900)}</table>`;
+  assert.strictEqual(runPipeline(long, { size: true }).size.level, 'clipped');
+});
+
+test('keeps the source head styles in both output modes', () => {
+  const source = `<html><head><title>Spring</title>
+<style>@media (max-width:600px){.hide{display:none!important;}}</style>
+</head><body>${SOURCE}</body></html>`;
+  const { html } = runPipeline(source, { output: 'document' });
+  const head = html.slice(0, html.indexOf('</head>'));
+  assert.ok(head.includes('<style>@media (max-width:600px){.hide{display:none!important;}}</style>'));
+  // After the reset styles, so the source's rules win
+  assert.ok(head.indexOf('#outlook a') < head.indexOf('@media'));
+  assert.strictEqual(html.split('@media').length, 2);
+
+  const fragment = runPipeline(source).html;
+  assert.ok(fragment.startsWith('<style>@media (max-width:600px){.hide{display:none!important;}}</style>\n'));
+});